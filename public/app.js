@@ -1,36 +1,121 @@
 // --- 未ログイン時は自動でログインページへ遷移 ---
+/** @type {{ loggedIn: boolean, via: string|null, source?: string, expiresAt?: number|null, localBoards?: number } | null} */
+let authSession = null;
+
+// サーバの PUBLIC_BASE_URL に基づくログイン/ログアウト先（/api/config 取得前は相対パス）
+const appConfig = {
+  loginUrl: '/auth/login',
+  logoutUrl: '/auth/logout',
+};
+
+async function loadAppConfig() {
+  try {
+    const res = await fetch('/api/config', { cache: 'no-store' });
+    if (!res.ok) return;
+    const data = await res.json();
+    if (data.loginUrl) appConfig.loginUrl = data.loginUrl;
+    if (data.logoutUrl) appConfig.logoutUrl = data.logoutUrl;
+  } catch (e) {
+    console.warn('Failed to load config', e);
+  }
+}
+
+function goToLogin() {
+  window.location.href = appConfig.loginUrl;
+}
+
+async function fetchAuthSession() {
+  const res = await fetch('/api/me/session', { cache: 'no-store' });
+  if (!res.ok) throw new Error(`session check failed: ${res.status}`);
+  return res.json();
+}
+
+// ログインボタンをログイン状態に合わせて切り替える
+function renderLoginState() {
+  const btn = document.getElementById('loginBtn');
+  if (!btn) return;
+  const loggedIn = !!authSession?.loggedIn;
+  btn.textContent = loggedIn ? 'ログアウト' : 'ログイン';
+  btn.dataset.loggedIn = loggedIn ? '1' : '0';
+  btn.title = authSession?.via === 'mock'
+    ? 'モックデータで動作中'
+    : (!loggedIn && authSession?.localBoards ? 'ローカルフォルダのみで動作中' : '');
+}
+
 async function redirectIfNotLoggedIn() {
+  await loadAppConfig();
   try {
-    const res = await fetch('/api/me/boards');
-    if (res.status === 401 || res.status === 403) {
-      window.location.href = 'https://pinterval.onrender.com/auth/login';
-      return;
-    }
-    // API仕様上、認証エラー時はエラーjson返却も考慮
-    if (!res.ok) {
-      const data = await res.json().catch(()=>null);
-      if (data && data.error && String(data.error).includes('認証')) {
-        window.location.href = 'https://pinterval.onrender.com/auth/login';
-        return;
-      }
+    authSession = await fetchAuthSession();
+    renderLoginState();
+    // ローカルフォルダ（LOCAL_IMAGE_DIRS）があれば未ログインでもそのまま使える
+    if (!authSession.loggedIn && !authSession.localBoards) {
+      goToLogin();
     }
   } catch (e) {
     // 通信エラー時も念のため遷移
-    window.location.href = 'https://pinterval.onrender.com/auth/login';
+    goToLogin();
   }
 }
 
 // ページロード時に即チェック
 redirectIfNotLoggedIn();
 import { bus } from './eventBus.js';
+import { createPlayMachine } from './playMachine.js';
+import {
+  listPlans, loadUserPlans, saveUserPlans, parseStages, formatStages, totalPoses, stageAt,
+  PLAN_SELECTED_KEY,
+} from './sessionPlan.js';
+import { loadHistory, saveHistory, recordShown, formatViewDuration } from './history.js';
+import {
+  loadSeenLedger, saveSeenLedger, markSeen, countSeen, resetSeen, orderBySeen, createRandom, newSeed,
+  SEEN_ALL,
+} from './seenLedger.js';
+import {
+  loadFilter, saveFilter, normalizeFilter, applyFilter, isFilterActive, filterKey,
+} from './pinFilter.js';
+import { mountBoardPicker, selectionKey, selectionBoardIds } from './boardPicker.js';
+import { readNdjson } from './ndjson.js';
+import { sortPinsByCreatedAt } from './pinOrder.js';
+import { isTextEntryTarget } from './shortcuts.js';
+import { createPrefetchQueue } from './prefetch.js';
+import { createGrayscaleConverter } from './grayscale.js';
+import { FILTERS, normalizeFilters, filterSpec, parseFilterSpec } from './filters.js';
+import { createImageStore } from './imageStore.js';
+import { attachEventTracer, isEventTracerEnabled, mountEventTracerPanel } from './js/debug/event-tracer.js';
 
 // DOM references
 const dom = {
+  sourceRadios: /** @type {HTMLInputElement[]} */ (Array.from(document.querySelectorAll('input[name="source"]'))),
+  sourceBoards: document.getElementById('source-boards'),
+  btnReloadBoards: document.getElementById('btn-reload-boards'),
+  sourceWarning: document.getElementById('source-warning'),
+  sourceSearch: document.getElementById('source-search'),
+  searchQuery: /** @type {HTMLInputElement|null} */ (document.getElementById('search-query')),
   board: document.getElementById('board'),
   order: document.getElementById('order'),
+  seed: document.getElementById('seed'),
+  btnSeenReset: document.getElementById('btn-seen-reset'),
+  filterOrientation: document.getElementById('filter-orientation'),
+  filterMinSize: document.getElementById('filter-min-size'),
+  filterMaxRatio: document.getElementById('filter-max-ratio'),
+  filterInclude: document.getElementById('filter-include'),
+  filterExclude: document.getElementById('filter-exclude'),
+  filterCount: document.getElementById('filter-count'),
   interval: document.getElementById('interval'),
+  gap: document.getElementById('gap'),
+  plan: document.getElementById('plan'),
+  planStages: document.getElementById('plan-stages'),
+  btnPlanSave: document.getElementById('btn-plan-save'),
+  btnPlanDelete: document.getElementById('btn-plan-delete'),
+  planProgress: document.getElementById('plan-progress'),
+  planProgressStage: document.getElementById('plan-progress-stage'),
+  planProgressCount: document.getElementById('plan-progress-count'),
+  planProgressBar: document.getElementById('plan-progress-bar'),
   gridCount: document.getElementById('grid-count'),
   toggleGrayscale: document.getElementById('toggle-grayscale'),
+  studyFilters: document.getElementById('study-filters'),
+  imageCacheUsage: document.getElementById('image-cache-usage'),
+  btnClearImageCache: document.getElementById('btn-clear-image-cache'),
   counter: document.getElementById('counter'),
   btnSearch: document.getElementById('btn-search'),
   viewer: document.getElementById('viewer'),
@@ -106,22 +191,59 @@ function applyGridLayout() {
 
 
 // ---- state ----
+// 再生状態（standby / loading / gap / show / paused）は play.state が持つ
 const state = {
-  phase: 'gap', // 'gap' | 'show'
-  mode: 'standby', // 'standby' | 'play' | 'paused'
   grayscale: false,
-  items: /** @type {Array<{id:string,title:string,link:string|null,image:string}>} */ ([]),
+  /** スタディフィルタ（filters.js。適用順にそろえたもの） @type {import('./filters.js').FilterOp[]} */
+  filters: [],
+  /**
+   * 再生する一覧（サーバで正規化済みのピン）
+   * @type {Array<{id:string,title:string,description?:string,link:string|null,image:string,
+   *   width:number|null,height:number|null,created_at:string|null,board_id:string|null,dominant_color:string|null}>}
+   */
+  items: [],
+  // items を作ったときの再生元と絞り込み条件（変わっていたら再生開始時に作り直す）
+  itemsKey: '',
   idx: -1,
   shownCount: 0,
-  history: /** @type {string[]} */ ([]),
+  // 表示履歴（新しい順、localStorage に保存）
+  history: /** @type {import('./history.js').HistoryRecord[]} */ (loadHistory()),
+  // ランダム順の既出記録（ボードごと、localStorage に保存）と、読み込んだ一覧のボード
+  seen: loadSeenLedger(),
+  seenBoard: SEEN_ALL,
+  // 履歴サムネイルから開いた、現在の items に無いピン（スタンバイ中のみ）
+  preview: /** @type {{id:string,title:string,link:string|null,image:string}|null} */ (null),
+  // 残り時間。計時中は deadline（performance.now() 基準）から算出し、
+  // 一時停止・停止時にここへ確定させる
   remainMs: 0,
+  deadline: /** @type {number|null} */ (null),
+  // インターバル「次へを押すまで待つ」で待機中
+  waitingForNext: false,
   timerId: /** @type {number|null} */ (null),
+  rafId: /** @type {number|null} */ (null),
+  // 実行中のセッションプラン（stages が空なら #interval の秒数で無制限に表示）
+  plan: {
+    stages: /** @type {Array<{count:number,sec:number}>} */ ([]),
+    poseIndex: 0, // 開始した表示の回数
+    current: /** @type {{stageIndex:number,indexInStage:number,stage:{count:number,sec:number}}|null} */ (null),
+  },
 };
 
 function setLeftDisabled(disabled) {
+  for (const el of dom.sourceRadios) el.disabled = disabled;
+  if (dom.searchQuery) dom.searchQuery.disabled = disabled;
   if (dom.board) dom.board.disabled = disabled;
+  if (dom.btnReloadBoards) dom.btnReloadBoards.disabled = disabled;
   if (dom.order) dom.order.disabled = disabled;
-  if (dom.interval) dom.interval.disabled = disabled;
+  if (dom.seed) dom.seed.disabled = disabled;
+  if (dom.btnSeenReset) dom.btnSeenReset.disabled = disabled;
+  for (const el of filterControls()) el.disabled = disabled;
+  if (dom.interval) dom.interval.disabled = disabled || getSelectedStages().length > 0;
+  if (dom.gap) dom.gap.disabled = disabled;
+  if (dom.plan) dom.plan.disabled = disabled;
+  if (dom.planStages) dom.planStages.disabled = disabled;
+  if (dom.btnPlanSave) dom.btnPlanSave.disabled = disabled;
+  if (dom.btnPlanDelete) dom.btnPlanDelete.disabled = disabled || !isUserPlan(dom.plan?.value);
   if (dom.gridCount) dom.gridCount.disabled = disabled;
   if (dom.btnSearch) dom.btnSearch.disabled = disabled;
 }
@@ -139,110 +261,225 @@ function formatMMSS(msVal) {
 
 // ---- grayscale mode (カラー / グレースケール) ----
 const GRAYSCALE_KEY = 'pinterval_grayscale_enabled';
-const GRAY_CACHE_LIMIT = 120;
+// スタディフィルタ（左右反転・ぼかし・ノタン・輪郭）の選択
+const STUDY_FILTERS_KEY = 'pinterval_study_filters';
+
+// ---- processed-image cache (変換済み画像のキャッシュ) ----
+// キーは変換済み画像の URL（元画像 URL と変換指定を含む）。ブラウザ側で変換した画像もその変換済み画像の代わりとして同じキーで持つ。
+// メモリ（objectURL の LRU）→ IndexedDB（imageStore.js、再読み込み後も残る）の順に探す。
+// メモリには表示中・直近の画像だけを持つ（件数は従来どおり。それより前のものは IndexedDB から読み直す）
+const MEMORY_CACHE_LIMIT = 120;
+const IMAGE_STORE_QUOTA_BYTES = 200 * 1024 * 1024;
 /** @type {Map<string, string>} key -> objectURL */
-const grayCache = new Map();
+const memoryCache = new Map();
+const imageStore = createImageStore({ quotaBytes: IMAGE_STORE_QUOTA_BYTES });
 
-function cacheGet(key) {
-  const v = grayCache.get(key);
+function memoryGet(key) {
+  const v = memoryCache.get(key);
   if (!v) return null;
   // LRU: touch
-  grayCache.delete(key);
-  grayCache.set(key, v);
+  memoryCache.delete(key);
+  memoryCache.set(key, v);
   return v;
 }
 
-function cacheSet(key, objectUrl) {
-  if (!objectUrl) return;
-  if (grayCache.has(key)) {
-    const prev = grayCache.get(key);
+function memorySet(key, objectUrl) {
+  if (memoryCache.has(key)) {
+    const prev = memoryCache.get(key);
     if (prev && prev !== objectUrl) {
       try { URL.revokeObjectURL(prev); } catch {}
     }
-    grayCache.delete(key);
+    memoryCache.delete(key);
   }
-  grayCache.set(key, objectUrl);
+  memoryCache.set(key, objectUrl);
 
   // simple LRU eviction
-  while (grayCache.size > GRAY_CACHE_LIMIT) {
-    const firstKey = grayCache.keys().next().value;
-    const firstVal = grayCache.get(firstKey);
-    grayCache.delete(firstKey);
+  while (memoryCache.size > MEMORY_CACHE_LIMIT) {
+    const firstKey = memoryCache.keys().next().value;
+    const firstVal = memoryCache.get(firstKey);
+    memoryCache.delete(firstKey);
     if (firstVal) {
       try { URL.revokeObjectURL(firstVal); } catch {}
     }
   }
+  return objectUrl;
 }
 
-function buildProxyImageUrl(originalUrl) {
-  return `/api/image-proxy?url=${encodeURIComponent(String(originalUrl || ''))}`;
+/**
+ * メモリ → IndexedDB の順に探し、見つかれば objectURL を返す。
+ * @param {string} key
+ * @returns {Promise<string|null>}
+ */
+async function cacheGet(key) {
+  const hit = memoryGet(key);
+  if (hit) return hit;
+  const blob = await imageStore.get(key);
+  if (!blob) return null;
+  // 待っている間に同じキーが入っていればそちらを使う
+  return memoryGet(key) || memorySet(key, URL.createObjectURL(blob));
 }
 
 /**
- * 画像要素（同一オリジンで読み込み済み）を、指定の輝度計算でグレースケール化して objectURL を返す。
- * 輝度 = 0.299 * R + 0.587 * G + 0.114 * B
- *
- * @param {HTMLImageElement} imgEl
- * @param {{ maxDim?: number }} [opt]
- * @returns {Promise<string>}
+ * メモリと IndexedDB に保存し、表示用の objectURL を返す。
+ * @param {string} key
+ * @param {Blob} blob
+ * @returns {string}
  */
-async function convertImgElToGrayscaleObjectUrl(imgEl, opt = {}) {
-  const sw = imgEl.naturalWidth || imgEl.width;
-  const sh = imgEl.naturalHeight || imgEl.height;
-  if (!sw || !sh) throw new Error('画像サイズが取得できません');
+function cacheSet(key, blob) {
+  const objectUrl = memorySet(key, URL.createObjectURL(blob));
+  imageStore.put(key, blob).then(renderImageCacheUsage);
+  return objectUrl;
+}
+
+function clearMemoryCache() {
+  for (const objectUrl of memoryCache.values()) {
+    try { URL.revokeObjectURL(objectUrl); } catch {}
+  }
+  memoryCache.clear();
+}
+
+function buildProxyImageUrl(originalUrl) {
+  const url = String(originalUrl || '');
+  // ローカルフォルダの画像（/local-images/...）は元から同一オリジンなのでそのまま読む
+  if (url.startsWith('/') && !url.startsWith('//')) return url;
+  return `/api/image-proxy?url=${encodeURIComponent(url)}`;
+}
 
-  const maxDim = Math.max(0, Number(opt.maxDim) || 0);
-  // 安全弁: 極端に巨大な画像でメモリが吹き飛ぶのを防ぐ
-  const safetyCap = 4096;
-  const limit = maxDim > 0 ? Math.min(maxDim, safetyCap) : safetyCap;
+// サーバ側で縮小・変換した画像（/api/image-proxy の変換パラメータ）。
+// ビューアは表示枠×devicePixelRatio をこの段階に切り上げて要求し、同じ変換結果を使い回せるようにする。
+const VIEWER_VARIANT_STEPS = [480, 720, 1080, 1440, 2048];
+const VIEWER_VARIANT = { fmt: 'webp', q: 82 };
+const THUMB_VARIANT = { w: 240, h: 240, fmt: 'webp', q: 70 };
 
-  let tw = sw;
-  let th = sh;
-  const m = Math.max(sw, sh);
-  if (m > limit) {
-    const s = limit / m;
-    tw = Math.max(1, Math.round(sw * s));
-    th = Math.max(1, Math.round(sh * s));
+/**
+ * @param {string} originalUrl
+ * @param {{ gray?: boolean, w?: number, h?: number, fmt?: string, q?: number, fx?: string }} variant
+ *   fx: スタディフィルタ（filterSpec の文字列）
+ */
+function imageVariantUrl(originalUrl, variant) {
+  const params = new URLSearchParams({ url: String(originalUrl || '') });
+  if (variant.gray) params.set('gray', '1');
+  for (const k of ['w', 'h', 'fmt', 'q', 'fx']) {
+    if (variant[k]) params.set(k, String(variant[k]));
   }
+  return `/api/image-proxy?${params}`;
+}
 
-  const canvas = document.createElement('canvas');
-  canvas.width = tw;
-  canvas.height = th;
+/** ビューアの 1 マスに合う変換指定 */
+function viewerVariant() {
+  const n = Math.max(1, Math.round(Math.sqrt(getGridCount())));
+  const rect = dom.viewerGrid?.getBoundingClientRect();
+  const cell = Math.max(rect?.width || 0, rect?.height || 0) / n;
+  const px = Math.ceil(cell * (window.devicePixelRatio || 1));
+  const size = VIEWER_VARIANT_STEPS.find((s) => s >= px) || VIEWER_VARIANT_STEPS[VIEWER_VARIANT_STEPS.length - 1];
+  return { ...VIEWER_VARIANT, w: size, h: size, ...processingVariant() };
+}
 
-  const ctx = canvas.getContext('2d', { willReadFrequently: true });
-  if (!ctx) throw new Error('Canvas が利用できません');
+/** 今のグレースケール・スタディフィルタの指定（サムネイルとビューアで共通） */
+function processingVariant() {
+  return { gray: state.grayscale, fx: filterSpec(state.filters) };
+}
 
-  ctx.drawImage(imgEl, 0, 0, tw, th);
-  const imageData = ctx.getImageData(0, 0, tw, th);
-  const d = imageData.data;
+/**
+ * 元画像のままでは代わりにならない（サーバで変換できなければブラウザ側で処理する）変換か。
+ * @param {{ gray?: boolean, fx?: string }} variant
+ */
+function needsProcessing(variant) {
+  return !!(variant.gray || variant.fx);
+}
 
-  // 指定の係数で輝度を算出して RGB を同値にする
-  for (let i = 0; i < d.length; i += 4) {
-    const r = d[i];
-    const g = d[i + 1];
-    const b = d[i + 2];
-    const y = 0.299 * r + 0.587 * g + 0.114 * b;
-    d[i] = y;
-    d[i + 1] = y;
-    d[i + 2] = y;
-    // alpha (d[i+3]) は保持
-  }
+/**
+ * ブラウザ側の変換に渡す指定。
+ * @param {{ gray?: boolean, fx?: string }} variant
+ */
+function processingOptions(variant) {
+  return { gray: !!variant.gray, ops: parseFilterSpec(variant.fx || '') };
+}
 
-  ctx.putImageData(imageData, 0, 0);
+// サーバ側の変換が使えないときのグレースケール変換・スタディフィルタ（画素の処理は Worker で行う）
+const grayscaleConverter = createGrayscaleConverter();
 
-  const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
-  if (!blob) throw new Error('toBlob に失敗しました');
-  return URL.createObjectURL(blob);
+/**
+ * プロキシの元画像を読み込み、ブラウザ側でグレースケール化（opt.gray / opt.ops）した Blob を返す。
+ * @param {string} originalUrl
+ * @param {import('./grayscale.js').ConvertOptions} [opt]
+ * @returns {Promise<Blob>}
+ */
+async function loadGrayscaleBlobInBrowser(originalUrl, opt = {}) {
+  const res = await fetch(buildProxyImageUrl(originalUrl), { signal: opt.signal });
+  if (!res.ok) throw new Error(`image fetch failed: ${res.status}`);
+  return grayscaleConverter.convert(await res.blob(), opt);
+}
+
+// ---- prefetch (先読み) ----
+// 表示中・インターバル中に、次の PREFETCH_GROUPS 回分（グリッドの枚数ずつ）の画像を取得・デコードしておく。
+// グレースケール・スタディフィルタでサーバの変換が使えないときは、ここでブラウザ側の変換まで済ませる。
+const PREFETCH_GROUPS = 2;
+const prefetchQueue = createPrefetchQueue({ budgetBytes: 48 * 1024 * 1024, concurrency: 2 });
+
+/**
+ * @param {string} originalUrl
+ * @param {ReturnType<typeof viewerVariant>} variant
+ * @returns {import('./prefetch.js').PrefetchJob}
+ */
+function prefetchJob(originalUrl, variant) {
+  const key = imageVariantUrl(originalUrl, variant);
+  return {
+    key,
+    async load(signal) {
+      const stored = await imageStore.get(key);
+      if (stored) return stored;
+      const res = await fetch(key, { signal });
+      let blob;
+      if (res.ok) {
+        blob = await res.blob();
+      } else if (needsProcessing(variant)) {
+        blob = await loadGrayscaleBlobInBrowser(originalUrl, { signal, ...processingOptions(variant) });
+      } else {
+        throw new Error(`prefetch failed: ${res.status}`);
+      }
+      imageStore.put(key, blob).then(renderImageCacheUsage);
+      return blob;
+    }
+  };
+}
+
+/** 現在の表示位置から、次に表示するグループの画像を先読みする */
+function schedulePrefetch() {
+  if (!isRunning() || state.preview || !state.items.length) {
+    prefetchQueue.cancel();
+    return;
+  }
+  const step = getGridCount();
+  const variant = viewerVariant();
+  const jobs = [];
+  const seen = new Set();
+  for (let g = 1; g <= PREFETCH_GROUPS; g++) {
+    for (let i = 0; i < step; i++) {
+      const item = state.items[(state.idx + g * step + i) % state.items.length];
+      if (!item?.image || seen.has(item.image)) continue;
+      seen.add(item.image);
+      jobs.push(prefetchJob(item.image, variant));
+    }
+  }
+  prefetchQueue.prefetch(jobs);
 }
 
 let viewerRenderSeq = 0;
+let historyRenderSeq = 0;
 
 // ---- gap (interval) countdown UI ----
 function showGapCountdown() {
   const el = dom.gapCountdown;
   if (!el) return;
-  const n = Math.max(1, Math.ceil(state.remainMs / 1000));
-  el.textContent = String(n);
+  if (state.waitingForNext) {
+    el.textContent = '⏭';
+    el.title = '「次へ」で次の画像へ';
+  } else {
+    const n = Math.max(1, Math.ceil(currentRemainMs() / 1000));
+    el.textContent = String(n);
+    el.title = '';
+  }
   el.hidden = false;
   // インターバル中は画像を一切表示しない
   for (const img of viewerImgs) img.hidden = true;
@@ -254,86 +491,273 @@ function hideGapCountdown() {
   if (el) el.hidden = true
 }
 
-function shuffle(array) {
-  const copy = array.slice();
-  for (let i = copy.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [copy[i], copy[j]] = [copy[j], copy[i]];
-  }
-  return copy;
+// ---- Pinterest API helpers ----
+// ボード・セクションの複数選択（#board の <fieldset>）
+const boardPicker = dom.board ? mountBoardPicker(dom.board, { loadSections: loadBoardSections }) : null;
+
+/** @returns {import('./boardPicker.js').BoardSelection} */
+function getBoardSelection() {
+  return boardPicker ? boardPicker.getSelection() : { all: true, boards: [], sections: [] };
 }
 
-// ---- Pinterest API helpers ----
-async function loadBoards() {
-  if (!dom.board) return;
+// 「ボード一覧を更新」後、最初に開くときだけサーバのキャッシュを使わずにセクションを取るボード
+const sectionsToRefresh = new Set();
+
+/** @param {{ refresh?: boolean }} [opt] refresh: サーバのキャッシュを使わずに取り直す */
+async function loadBoards(opt = {}) {
+  if (!boardPicker) return;
   try {
-    const res = await fetch('/api/me/boards');
+    const res = await fetch(`/api/me/boards${opt.refresh ? '?refresh=1' : ''}`);
+    if (res.status === 401) {
+      // トークン失効（更新にも失敗）→ 再ログイン
+      goToLogin();
+      return;
+    }
     if (!res.ok) {
       console.error('Failed to load boards', res.status);
       return;
     }
     const data = await res.json();
     const items = Array.isArray(data.items) ? data.items : [];
+    if (opt.refresh) for (const b of items) sectionsToRefresh.add(b.id);
+    await boardPicker.setBoards(items);
+  } catch (e) {
+    console.warn('Failed to load boards', e);
+  }
+}
 
-    dom.board.innerHTML = '';
-    dom.board.insertAdjacentHTML('beforeend', '<option value="all">すべてのピン</option>');
+/** @param {string} boardId */
+async function loadBoardSections(boardId) {
+  const refresh = sectionsToRefresh.delete(boardId);
+  const res = await fetch(`/api/boards/${encodeURIComponent(boardId)}/sections${refresh ? '?refresh=1' : ''}`);
+  if (res.status === 401) {
+    goToLogin();
+    return [];
+  }
+  if (!res.ok) throw new Error(`sections request failed: ${res.status}`);
+  const data = await res.json();
+  return Array.isArray(data.items) ? data.items : [];
+}
 
-    if (!items.length) {
-      dom.board.insertAdjacentHTML(
-        'beforeend',
-        '<option value="" disabled>ボードが見つかりません</option>'
-      );
-      return;
-    }
+// ---- 再生元（ボード・セクション / テーマ検索） ----
+const SOURCE_BOARDS = 'boards';
+const SOURCE_SEARCH = 'search';
 
-    for (const b of items) {
-      const option = document.createElement('option');
-      option.value = b.id;
-      option.textContent = b.name || b.id;
-      dom.board.appendChild(option);
-    }
-  } catch (e) {
-    console.warn('Failed to load boards', e);
+/**
+ * @typedef {{ type: 'boards', selection: import('./boardPicker.js').BoardSelection }
+ *   | { type: 'search', query: string }} PinSource
+ */
+
+function currentSourceType() {
+  return dom.sourceRadios.find((el) => el.checked)?.value === SOURCE_SEARCH ? SOURCE_SEARCH : SOURCE_BOARDS;
+}
+
+/** @returns {PinSource} */
+function getSource() {
+  if (currentSourceType() === SOURCE_SEARCH) {
+    return { type: SOURCE_SEARCH, query: dom.searchQuery ? dom.searchQuery.value.trim() : '' };
+  }
+  return { type: SOURCE_BOARDS, selection: getBoardSelection() };
+}
+
+/** @param {PinSource} src キャッシュ等の比較用キー */
+function sourceKey(src) {
+  return src.type === SOURCE_SEARCH ? `q:${src.query}` : selectionKey(src.selection);
+}
+
+/**
+ * 既出記録のキー（ボード id。検索はクエリごと。すべてのピンなら null）
+ * @param {PinSource} src
+ * @returns {string[]|null}
+ */
+function sourceSeenKeys(src) {
+  if (src.type === SOURCE_SEARCH) return [`search:${src.query.toLowerCase()}`];
+  return selectionBoardIds(src.selection);
+}
+
+/**
+ * 再生元に応じたピン取得 URL。検索 → /api/search、すべてのピン → /api/me/pins、
+ * ボード 1 つ → /api/boards/:id/pins、それ以外（複数・セクションを含む）→ /api/pins でまとめて取得（サーバで重複除去）
+ * @param {PinSource} src
+ * @param {number} limit
+ */
+function pinsUrlForSource(src, limit) {
+  if (src.type === SOURCE_SEARCH) return `/api/search?q=${encodeURIComponent(src.query)}&limit=${limit}`;
+  const sel = src.selection;
+  if (sel.all) return `/api/me/pins?limit=${limit}`;
+  if (sel.boards.length === 1 && !sel.sections.length) {
+    return `/api/boards/${encodeURIComponent(sel.boards[0])}/pins?limit=${limit}`;
   }
+  const qs = new URLSearchParams({ limit: String(limit) });
+  if (sel.boards.length) qs.set('boards', sel.boards.join(','));
+  if (sel.sections.length) qs.set('sections', sel.sections.map((x) => `${x.boardId}:${x.sectionId}`).join(','));
+  return `/api/pins?${qs}`;
+}
+
+// 複数のボード・セクション（すべてのピンを含む）はサーバで集約するので、ストリーミングで受け取れる
+function isAggregateSource(src) {
+  if (src.type !== SOURCE_BOARDS) return false;
+  const sel = src.selection;
+  return sel.all || sel.boards.length + sel.sections.length > 1;
 }
 
+// 直近に取得した（絞り込み前の）ピン一覧。絞り込みの件数表示と再生開始で共有する
+const pinListCache = {
+  key: /** @type {string|null} */ (null), // sourceKey()
+  items: /** @type {typeof state.items} */ ([]),
+  refresh: false, // 次の取得はサーバのキャッシュを使わない（ボード一覧の更新後）
+  /** @type {Array<{ boardId: string, sectionId: string|null, name: string|null, reason: string }>} */
+  failed: [], // 取得できなかったボード / セクション（残りのピンだけで再生する）
+};
+
 /**
- * 現在のボードと表示モードに応じてピン一覧を取得
- * @returns {Promise<Array<{id:string,title:string,link:string|null,image:string}>>}
+ * 現在のボードのピン一覧（絞り込み・並び替え前）を取得
+ * @param {{
+ *   signal?: AbortSignal, reload?: boolean, quiet?: boolean,
+ *   onBatch?: (items: typeof state.items) => void | Promise<void>
+ * }} [opt]
+ *   reload: キャッシュを使わず取り直す / quiet: 失敗してもアラートを出さない（件数表示用）
+ *   onBatch: 指定すると、集約する再生元はストリーミング（NDJSON）で受け取り、届いたピンから順に渡す
+ * @returns {Promise<typeof state.items>} 全件（ストリーミングでも最後まで読んでから解決）
  */
-async function fetchPinsForCurrentSelection() {
+async function fetchPinList(opt = {}) {
   const limit = 500;
-  const boardId = dom.board ? dom.board.value : 'all';
-  let url;
-  if (!boardId || boardId === 'all') {
-    url = `/api/me/pins?limit=${limit}`;
-  } else {
-    url = `/api/boards/${encodeURIComponent(boardId)}/pins?limit=${limit}`;
+  const src = getSource();
+  const key = sourceKey(src);
+  if (!opt.reload && pinListCache.key === key) return pinListCache.items;
+  if (src.type === SOURCE_SEARCH && !src.query) return [];
+
+  const stream = !!opt.onBatch && isAggregateSource(src);
+  const url = pinsUrlForSource(src, limit)
+    + (pinListCache.refresh ? '&refresh=1' : '')
+    + (stream ? '&stream=1' : '');
+  const res = await fetch(url, { signal: opt.signal });
+  if (res.status === 401) {
+    goToLogin();
+    return [];
   }
-
-  const res = await fetch(url);
   if (!res.ok) {
     const text = await res.text().catch(() => '');
     console.error('Failed to load pins', res.status, text);
-    alert('画像の取得に失敗しました。Pinterestへのログインや権限を確認してください。');
+    if (!opt.quiet) alert('画像の取得に失敗しました。Pinterestへのログインや権限を確認してください。');
     return [];
   }
 
-  /** @type {{ ok?: boolean, items?: any[] }} */
-  const data = await res.json();
+  /** @type {{ ok?: boolean, items?: any[], partial?: boolean, failed?: typeof pinListCache.failed }} */
+  let data;
+  // 1 件も届かなかった場合などはサーバが通常の JSON で返すので、Content-Type で見分ける
+  if (stream && String(res.headers.get('content-type') || '').includes('ndjson')) {
+    const received = { items: /** @type {any[]} */ ([]), partial: false, failed: [] };
+    await readNdjson(res, async (msg) => {
+      if (msg.type === 'pins' && Array.isArray(msg.items)) {
+        received.items.push(...msg.items);
+        await opt.onBatch?.(msg.items);
+      } else if (msg.type === 'done') {
+        received.partial = !!msg.partial;
+        received.failed = Array.isArray(msg.failed) ? msg.failed : [];
+      }
+    });
+    data = received;
+  } else {
+    data = await res.json();
+  }
   const items = Array.isArray(data.items) ? data.items : [];
+  pinListCache.key = key;
+  pinListCache.items = items;
+  pinListCache.refresh = false;
+  pinListCache.failed = data.partial && Array.isArray(data.failed) ? data.failed : [];
+  if (pinListCache.failed.length) console.warn('Some boards failed to load', pinListCache.failed);
+  renderSourceWarning();
+  return items;
+}
+
+// 一部のボードが取れなかった（429・タイムアウトなど）ときに、再生元の下に警告を出す
+function renderSourceWarning() {
+  if (!dom.sourceWarning) return;
+  const failed = pinListCache.key === sourceKey(getSource()) ? pinListCache.failed : [];
+  dom.sourceWarning.hidden = !failed.length;
+  if (!failed.length) {
+    dom.sourceWarning.textContent = '';
+    return;
+  }
+  const names = failed.map((f) => {
+    const name = f.name || boardPicker?.boardName(f.boardId) || f.boardId;
+    return f.sectionId ? `${name}（セクション）` : name;
+  });
+  const why = failed.some((f) => f.reason === 'rate_limited') ? 'Pinterest の利用制限中のため、'
+    : failed.some((f) => f.reason === 'timeout') ? '時間内に応答が無かったため、'
+    : '';
+  dom.sourceWarning.textContent =
+    `${why}${failed.length} 件のボードを取得できず、残りのピンで再生します: ${names.join('、')}` +
+    '。しばらくしてから「ボード一覧を更新」で取り直せます。';
+}
+
+function currentItemsKey() {
+  return `${sourceKey(getSource())}|${filterKey(readFilter())}`;
+}
 
-  // 並び替え
+/**
+ * 現在の表示モードでピンを並べる関数を作る（ランダムのシードは 1 回の再生で共通）
+ * @returns {(items: typeof state.items) => typeof state.items}
+ */
+function createArranger() {
   const order = dom.order ? dom.order.value : 'newest';
-  let sorted = items.slice();
-  if (order === 'random') {
-    sorted = shuffle(sorted);
-  } else if (order === 'oldest') {
-    // API は通常 新しい順 なので 反転
-    sorted = sorted.slice().reverse();
-  } // newest: そのまま
+  if (order !== 'random') {
+    // 新しい順 / 古い順: ボードへの保存日時（created_at）で、ボードをまたいで並べる
+    return (items) => sortPinsByCreatedAt(items, order);
+  }
+  // 未表示 → 表示済み（古いものほど先）。シード未指定でも毎回シードを決めて、後から再現できるようにする
+  const seed = dom.seed?.value.trim() || newSeed();
+  const random = createRandom(seed);
+  if (dom.seed) dom.seed.placeholder = `シード（任意） 前回: ${seed}`;
+  return (items) => orderBySeen(items, state.seen, { random, fallback: state.seenBoard }).items;
+}
 
-  return sorted;
+/**
+ * 現在の再生元・絞り込み・表示モードに応じて再生するピン一覧を作る
+ * @param {{
+ *   signal?: AbortSignal,
+ *   onBatch?: (items: typeof state.items, arrange: (items: typeof state.items) => typeof state.items) => void | Promise<void>
+ * }} [opt]
+ *   onBatch: 集約する再生元をストリーミングで受け取り、届いたピン（絞り込み済み・未整列）を並べる関数と一緒に渡す。
+ *   シードを指定したランダム順は、届く順に左右されず再現できるよう全件そろってから並べる
+ * @returns {Promise<typeof state.items>} 全件を並べたもの
+ */
+async function fetchPinsForCurrentSelection(opt = {}) {
+  const boardIds = sourceSeenKeys(getSource());
+  const filter = readFilter();
+  state.seenBoard = boardIds?.length === 1 ? boardIds[0] : SEEN_ALL;
+  const arrange = createArranger();
+  const seeded = dom.order?.value === 'random' && !!dom.seed?.value.trim();
+
+  const onBatch = opt.onBatch && !seeded
+    ? async (/** @type {typeof state.items} */ batch) => {
+      const items = applyFilter(batch, filter);
+      if (items.length) await opt.onBatch?.(items, arrange);
+    }
+    : undefined;
+
+  const all = await fetchPinList({ signal: opt.signal, reload: true, onBatch });
+  opt.signal?.throwIfAborted();
+  const items = applyFilter(all, filter);
+  state.itemsKey = currentItemsKey();
+  renderFilterCount(items.length, all.length);
+  return arrange(items);
+}
+
+/**
+ * ストリーミングで後から届いたピンを、まだ表示していない部分に混ぜて並べ直す。
+ * 表示済み・表示中のピンの位置は動かさない（一周した後は末尾に足すだけ）。
+ * @param {typeof state.items} batch
+ * @param {(items: typeof state.items) => typeof state.items} arrange
+ */
+function mergeStreamedItems(batch, arrange) {
+  if (state.shownCount >= state.items.length) {
+    state.items = [...state.items, ...arrange(batch)];
+    return;
+  }
+  const next = Math.min(Math.max(state.idx + getGridCount(), 0), state.items.length);
+  state.items = [...state.items.slice(0, next), ...arrange([...state.items.slice(next), ...batch])];
 }
 
 // ---- rendering ----
@@ -342,10 +766,11 @@ function renderViewer() {
   if (!dom.viewerGrid) return;
 
   const seq = ++viewerRenderSeq;
+  grayscaleConverter.cancelStale('viewer', seq);
   const count = getGridCount();
 
   // standby / 未選択時は全て非表示にして broken icon を出さない
-  if (!state.items.length || state.idx < 0) {
+  if (!state.preview && (!state.items.length || state.idx < 0)) {
     for (const img of viewerImgs) {
       img.removeAttribute('src');
       img.alt = '';
@@ -353,13 +778,18 @@ function renderViewer() {
       img.dataset.grayPending = '0';
       img.dataset.renderSeq = String(seq);
     }
+    // 読み込み直後（最初の表示の前）は、最初のグループから先読みする
+    schedulePrefetch();
     return;
   }
 
   // idx から count 枚を並べて表示
+  const variant = viewerVariant();
   for (let i = 0; i < viewerImgs.length; i++) {
     const imgEl = viewerImgs[i];
-    const item = state.items[(state.idx + i) % state.items.length];
+    const item = state.preview
+      ? (i === 0 ? state.preview : null)
+      : state.items[(state.idx + i) % state.items.length];
     if (!item || !item.image) {
       imgEl.removeAttribute('src');
       imgEl.alt = '';
@@ -373,184 +803,356 @@ function renderViewer() {
     imgEl.alt = item.title || 'Pinterest image';
     imgEl.dataset.renderSeq = String(seq);
 
-    // カラー表示
-    if (!state.grayscale) {
-      imgEl.dataset.grayPending = '0';
-      imgEl.src = originalUrl;
-      imgEl.hidden = false;
-      continue;
-    }
-
-    // グレースケール表示（キャッシュがあれば即表示）
-    const cacheKey = `viewer:${originalUrl}`;
-    const cached = cacheGet(cacheKey);
-    if (cached) {
-      imgEl.dataset.grayPending = '0';
-      imgEl.src = cached;
-      imgEl.hidden = false;
-      continue;
-    }
-
-    // まずは同一オリジンのプロキシ画像を読み込み、その後 canvas で変換する
-    imgEl.dataset.grayPending = '1';
-    imgEl.hidden = true;
-
-    const onLoad = async () => {
+    // 変換済み画像を、メモリ → 先読み済み → IndexedDB → サーバ の順に探して表示する。
+    // サーバから読めなかった場合は、カラーなら元画像、グレースケール・スタディフィルタありならブラウザ側の変換に切り替える
+    const variantUrl = imageVariantUrl(originalUrl, variant);
+    imgEl.dataset.grayPending = '0';
+    imgEl.onerror = () => {
+      imgEl.onerror = null;
       if (imgEl.dataset.renderSeq !== String(seq)) return;
-      try {
-        const grayObjUrl = await convertImgElToGrayscaleObjectUrl(imgEl, { maxDim: 0 });
-        if (imgEl.dataset.renderSeq !== String(seq)) {
-          try { URL.revokeObjectURL(grayObjUrl); } catch {}
-          return;
-        }
-        cacheSet(cacheKey, grayObjUrl);
-        imgEl.dataset.grayPending = '0';
-        imgEl.src = grayObjUrl;
-      } catch (e) {
-        console.warn('Grayscale conversion failed (viewer):', e);
-        imgEl.dataset.grayPending = '0';
+      if (needsProcessing(variant)) {
+        renderViewerGrayInBrowser(imgEl, originalUrl, variantUrl, variant, seq);
+      } else {
         imgEl.src = originalUrl;
-        imgEl.hidden = false;
       }
     };
-
-    const onError = () => {
-      if (imgEl.dataset.renderSeq !== String(seq)) return;
-      imgEl.dataset.grayPending = '0';
-      imgEl.src = originalUrl;
+    // 先読み済みの objectURL はメモリのキャッシュへ移し、以後の解放はキャッシュの LRU に任せる
+    const prefetched = memoryCache.has(variantUrl) ? null : prefetchQueue.take(variantUrl);
+    const ready = prefetched ? memorySet(variantUrl, prefetched) : memoryGet(variantUrl);
+    if (ready) {
+      imgEl.src = ready;
       imgEl.hidden = false;
-    };
+      continue;
+    }
+    showStoredOrVariant(imgEl, variantUrl, seq);
+  }
+
+  schedulePrefetch();
+}
 
-    imgEl.addEventListener('load', onLoad, { once: true });
-    imgEl.addEventListener('error', onError, { once: true });
-    imgEl.src = buildProxyImageUrl(originalUrl);
+/**
+ * IndexedDB に保存済みの変換済み画像があればそれを、無ければサーバの変換済み画像を読む。
+ * 探している間は前の画像も代替テキストも出さない。
+ * @param {HTMLImageElement} imgEl
+ * @param {string} variantUrl
+ * @param {number} seq
+ */
+async function showStoredOrVariant(imgEl, variantUrl, seq) {
+  const alt = imgEl.alt;
+  imgEl.alt = '';
+  imgEl.removeAttribute('src');
+  const cached = await cacheGet(variantUrl);
+  if (imgEl.dataset.renderSeq !== String(seq)) return;
+  imgEl.alt = alt;
+  imgEl.src = cached || variantUrl;
+}
+
+/**
+ * サーバ側の変換が使えないときのグレースケール・スタディフィルタの表示。
+ * 同一オリジンのプロキシ画像をブラウザ側で変換する（描画が進んだら変換ごと捨てる）。
+ * @param {HTMLImageElement} imgEl
+ * @param {string} originalUrl
+ * @param {string} variantUrl  キャッシュのキー（サーバで変換できていれば読めたはずの URL）
+ * @param {{ gray?: boolean, fx?: string }} variant
+ * @param {number} seq
+ */
+async function renderViewerGrayInBrowser(imgEl, originalUrl, variantUrl, variant, seq) {
+  imgEl.dataset.grayPending = '1';
+  imgEl.hidden = true;
+  try {
+    const blob = await loadGrayscaleBlobInBrowser(originalUrl, { group: 'viewer', seq, ...processingOptions(variant) });
+    if (imgEl.dataset.renderSeq !== String(seq)) return;
+    imgEl.dataset.grayPending = '0';
+    imgEl.src = cacheSet(variantUrl, blob);
+  } catch (e) {
+    if (imgEl.dataset.renderSeq !== String(seq)) return;
+    console.warn('Grayscale conversion failed (viewer):', e);
+    imgEl.dataset.grayPending = '0';
+    imgEl.src = originalUrl;
+    imgEl.hidden = false;
   }
 }
 
 function renderHistory() {
   if (!dom.thumbs || !dom.histCount) return;
+  const seq = ++historyRenderSeq;
+  grayscaleConverter.cancelStale('thumb', seq);
   dom.thumbs.innerHTML = '';
-  const uniqueUrls = Array.from(new Set(state.history.slice().reverse()));
-  for (const url of uniqueUrls.slice(0, 200)) {
+  const variant = processingVariant();
+  for (const rec of state.history.slice(0, 200)) {
+    const url = rec.image;
     const img = document.createElement('img');
     // クリック判定は「元URL」を使う
     img.className = 'thumb';
-    img.title = '履歴';
+    img.title = historyTooltip(rec);
 
-    if (!state.grayscale) {
-      img.src = url;
-    } else {
-      const cacheKey = `thumb:${url}`;
-      const cached = cacheGet(cacheKey);
-      if (cached) {
-        img.src = cached;
-      } else {
-        // 同一オリジンのプロキシから読み込み → 小さめに変換してサムネ用キャッシュに保持
-        img.dataset.grayPending = '1';
-        img.style.opacity = '0.65';
-        img.addEventListener('load', async () => {
-          try {
-            // 変換中にトグルがOFFになった場合は中止
-            if (!state.grayscale || !img.isConnected) return;
-            const grayObjUrl = await convertImgElToGrayscaleObjectUrl(img, { maxDim: 240 });
-            if (!state.grayscale || !img.isConnected) {
-              try { URL.revokeObjectURL(grayObjUrl); } catch {}
-              return;
-            }
-            cacheSet(cacheKey, grayObjUrl);
-            img.dataset.grayPending = '0';
-            img.style.opacity = '';
-            img.src = grayObjUrl;
-          } catch (e) {
-            console.warn('Grayscale conversion failed (thumb):', e);
-            img.dataset.grayPending = '0';
-            img.style.opacity = '';
-            img.src = url;
-          }
-        }, { once: true });
-        img.addEventListener('error', () => {
-          img.dataset.grayPending = '0';
-          img.style.opacity = '';
-          img.src = url;
-        }, { once: true });
-        img.src = buildProxyImageUrl(url);
-      }
-    }
+    const key = imageVariantUrl(url, { ...THUMB_VARIANT, ...variant });
+    const cached = memoryGet(key);
+    if (cached) img.src = cached;
+    else loadThumb(img, url, key, variant, seq);
 
-    img.addEventListener('click', () => {
-      const i = state.items.findIndex((it) => it.image === url);
-      if (i >= 0) {
-        state.idx = i;
-        renderViewer();
-      }
-    });
+    img.addEventListener('click', () => openHistoryRecord(rec));
     dom.thumbs.appendChild(img);
   }
   dom.histCount.textContent = String(state.history.length);
 }
 
+/**
+ * サムネイルを、キャッシュ（IndexedDB）→ サーバで縮小（グレースケール・スタディフィルタも）した画像 の順に読む。
+ * サーバから読めなかった場合は、カラーなら元画像、グレースケール・スタディフィルタありならブラウザ側で変換する
+ * @param {HTMLImageElement} img
+ * @param {string} url  元画像 URL
+ * @param {string} key  変換済みサムネイルの URL（キャッシュのキー）
+ * @param {{ gray?: boolean, fx?: string }} variant
+ * @param {number} seq  renderHistory の描画番号
+ */
+async function loadThumb(img, url, key, variant, seq) {
+  try {
+    const cached = await cacheGet(key);
+    if (cached) {
+      if (img.isConnected) img.src = cached;
+      return;
+    }
+    const res = await fetch(key);
+    if (!res.ok) throw new Error(`thumbnail fetch failed: ${res.status}`);
+    const blob = await res.blob();
+    if (!img.isConnected) return;
+    img.src = cacheSet(key, blob);
+  } catch {
+    if (!img.isConnected) return;
+    if (needsProcessing(variant)) loadThumbGrayInBrowser(img, url, key, variant, seq);
+    else img.src = url;
+  }
+}
+
+/**
+ * サーバ側の変換が使えないときのグレースケール・スタディフィルタのサムネイル。
+ * 同一オリジンのプロキシから読み込み → 小さめに変換してサムネ用キャッシュに保持
+ * @param {HTMLImageElement} img
+ * @param {string} url
+ * @param {string} key  キャッシュのキー
+ * @param {{ gray?: boolean, fx?: string }} variant
+ * @param {number} seq  renderHistory の描画番号
+ */
+async function loadThumbGrayInBrowser(img, url, key, variant, seq) {
+  img.dataset.grayPending = '1';
+  img.style.opacity = '0.65';
+  try {
+    const blob = await loadGrayscaleBlobInBrowser(url, { group: 'thumb', seq, maxDim: 240, ...processingOptions(variant) });
+    // 変換中にトグル・フィルタが切り替わった場合は捨てる
+    if (!img.isConnected || key !== imageVariantUrl(url, { ...THUMB_VARIANT, ...processingVariant() })) return;
+    img.dataset.grayPending = '0';
+    img.style.opacity = '';
+    img.src = cacheSet(key, blob);
+  } catch (e) {
+    if (!img.isConnected) return; // 描画し直された（古い変換は中止済み）
+    console.warn('Grayscale conversion failed (thumb):', e);
+    img.dataset.grayPending = '0';
+    img.style.opacity = '';
+    img.src = url;
+  }
+}
+
+function historyTooltip(rec) {
+  const lines = [rec.title || '履歴'];
+  lines.push(new Date(rec.shownAt).toLocaleString());
+  lines.push(`閲覧 ${formatViewDuration(rec.viewMs)}（${rec.views}回）`);
+  return lines.join('\n');
+}
+
+// 履歴サムネイルのクリック: 現在の一覧にあればその位置へ、
+// 無ければ（別ボード・再読み込み前のピン）スタンバイ中に単独で表示する
+function openHistoryRecord(rec) {
+  const i = state.items.findIndex((it) => it.id === rec.id || it.image === rec.image);
+  if (i >= 0) {
+    state.preview = null;
+    state.idx = i;
+    renderViewer();
+    return;
+  }
+  if (isRunning()) return;
+  state.preview = { id: rec.id, title: rec.title, link: rec.link, image: rec.image };
+  renderViewer();
+}
+
+// ---- viewing time (履歴の閲覧時間) ----
+// 表示中の履歴レコードと、一時停止を除いた経過時間
+const viewing = {
+  records: /** @type {import('./history.js').HistoryRecord[]} */ ([]),
+  startedAt: /** @type {number|null} */ (null),
+  accMs: 0,
+};
+
+function startViewing(records) {
+  finishViewing();
+  viewing.records = records;
+  viewing.accMs = 0;
+  viewing.startedAt = clockNow();
+}
+
+function pauseViewing() {
+  if (viewing.startedAt == null) return;
+  viewing.accMs += clockNow() - viewing.startedAt;
+  viewing.startedAt = null;
+}
+
+function resumeViewing() {
+  if (viewing.records.length && viewing.startedAt == null) viewing.startedAt = clockNow();
+}
+
+function finishViewing() {
+  pauseViewing();
+  if (!viewing.records.length) return;
+  const spent = Math.round(viewing.accMs);
+  for (const rec of viewing.records) {
+    rec.viewMs += spent;
+    rec.lastViewMs = spent;
+  }
+  viewing.records = [];
+  viewing.accMs = 0;
+  saveHistory(state.history);
+}
+
+// ---- play control (statechart) ----
+// 状態遷移は playMachine.js の表で確定させ、副作用は bus のハンドラで行う。
+// DOM 更新は post フェーズに寄せる（開発方針 2）。
+const play = createPlayMachine(bus, {
+  onDrop: (name, from) => {
+    tracer?.recordDrop(name, { state: from, reason: 'not allowed in state' });
+  },
+});
 
+// ---- debug: event tracer（?debug=events / localStorage で ON） ----
+const tracer = isEventTracerEnabled()
+  ? attachEventTracer(bus, { getState: () => play.state })
+  : null;
+
+const GAP_WAIT = 'wait';
+const DEFAULT_GAP_SEC = 3;
+// countdown:tick の最大間隔。締切の直前には締切ちょうどに tick する。
+// 経過時間は壁時計から求めるので、バックグラウンドで間引かれても残り時間はずれない（描画は rAF）
+const TICK_MS = 250;
+// 読み込み（play:start）と停止（play:stop）は同じ lockKey で直列化し、
+// 停止時には読み込み中の fetch を abort する。
+const PLAY_LOCK = 'play:load';
+
+function isRunning() {
+  return play.state !== 'standby';
+}
+
+// 現在（paused 中は再開後）のフェーズ
+function currentPhase() {
+  if (play.state === 'paused') return play.resumeTo;
+  if (play.state === 'gap' || play.state === 'show') return play.state;
+  return null;
+}
+
+function newTxId() {
+  return crypto.randomUUID?.() || String(Date.now());
+}
+
+function clockNow() {
+  return performance.now();
+}
 
-// ---- play control ----
+// 計時中なら締切までの残り、止まっていれば保持している残り
+function currentRemainMs() {
+  if (state.deadline == null) return state.remainMs;
+  return Math.max(0, state.deadline - clockNow());
+}
+
+// フェーズの残り時間を設定する。計時中なら「今」から締切を引き直す
+// （遅れて到達した締切の分を次のフェーズから差し引かない＝複数枚を飛ばさない）
+function setCountdown(msVal) {
+  state.remainMs = msVal;
+  if (state.deadline != null) {
+    state.deadline = clockNow() + msVal;
+    scheduleTick();
+  }
+}
+
+// 残り時間を確定させて計時を止める（一時停止・停止）
 function stopTimer() {
+  if (state.deadline != null) {
+    state.remainMs = currentRemainMs();
+    state.deadline = null;
+  }
   if (state.timerId != null) {
-    clearInterval(state.timerId);
+    clearTimeout(state.timerId);
     state.timerId = null;
   }
+  if (state.rafId != null) {
+    cancelAnimationFrame(state.rafId);
+    state.rafId = null;
+  }
+}
+
+function startTimer() {
+  stopTimer();
+  state.deadline = clockNow() + state.remainMs;
+  scheduleTick();
+  state.rafId = requestAnimationFrame(renderFrame);
+}
+
+function scheduleTick() {
+  if (state.timerId != null) clearTimeout(state.timerId);
+  const wait = state.waitingForNext ? TICK_MS : Math.min(TICK_MS, currentRemainMs());
+  state.timerId = setTimeout(() => {
+    state.timerId = null;
+    tickCountdown();
+    if (state.deadline != null && state.timerId == null) scheduleTick();
+  }, wait);
+}
+
+function renderFrame() {
+  if (state.deadline == null) return;
+  renderCountdown();
+  state.rafId = requestAnimationFrame(renderFrame);
 }
 
 function tickCountdown() {
-  const step = 50; // ms
-  state.remainMs -= step;
+  if (state.deadline == null) return;
+  // 「次へ」待ちの間は時間を進めない
+  if (state.waitingForNext) return;
+  play.dispatch('countdown:tick', { remainMs: currentRemainMs() });
+}
+
+// タブ復帰時: 締切を過ぎていれば 1 フェーズだけ進めて、表示を即座に追いつかせる
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState !== 'visible' || state.deadline == null) return;
+  tickCountdown();
+  renderCountdown();
+});
 
+function renderCountdown() {
   // バーの進捗を更新（無段階）
   updateCountdownBar();
 
   // gap中のみ1秒単位で数字表示
-  if (state.phase === 'gap') {
+  if (currentPhase() === 'gap') {
     showGapCountdown();
   } else {
     hideGapCountdown();
   }
 
-  if (state.remainMs <= 0) {
-    if (state.phase === 'gap') {
-      // gap -> show
-      hideGapCountdown();
-      showNext(true); // 次の画像を表示し、表示用カウントダウンを開始
-      state.phase = 'show';
-    } else {
-      // show -> gap
-      state.phase = 'gap';
-      state.remainMs = 3000;
-      showGapCountdown();
-    }
-  }
-
   // 表示は1秒単位で更新
-  if (dom.countdown) dom.countdown.textContent = formatMMSS(state.remainMs);
+  if (dom.countdown) {
+    dom.countdown.textContent = state.waitingForNext ? '--:--' : formatMMSS(currentRemainMs());
+  }
 }
 
 // カウントダウンバーの進捗を更新
 function updateCountdownBar() {
   if (!dom.countdownBar || !dom.countdownBarContainer) return;
-  // インターバル（gap）時はバー自体を非表示
-  if (state.phase === 'gap') {
-    dom.countdownBarContainer.style.display = 'none';
-    return;
-  }
-  // プレイ・ポーズ時のみ表示、スタンバイ時は非表示
-  if (state.mode === 'play' || state.mode === 'paused') {
-    dom.countdownBarContainer.style.display = '';
-  } else {
+  const phase = currentPhase();
+  // インターバル（gap）時・スタンバイ時はバー自体を非表示
+  if (phase !== 'show') {
     dom.countdownBarContainer.style.display = 'none';
     return;
   }
-  // 表示間隔（秒）
-  let totalMs = 0;
-  if (state.phase === 'show') {
-    totalMs = ms(dom.interval ? dom.interval.value : 30);
-  }
+  dom.countdownBarContainer.style.display = '';
+  // 表示間隔（秒）。プラン実行中は現在の段階の秒数
+  const totalMs = poseDurationMs();
   // 0除算防止
   if (totalMs <= 0) {
     dom.countdownBar.style.height = '0%';
@@ -558,7 +1160,7 @@ function updateCountdownBar() {
     return;
   }
   // 残り割合
-  const percent = Math.max(0, Math.min(1, state.remainMs / totalMs));
+  const percent = Math.max(0, Math.min(1, currentRemainMs() / totalMs));
   dom.countdownBar.style.height = (percent * 100) + '%';
   // 色変更: 通常=白, 半分以下=黄, 10%以下=赤
   if (percent <= 0.1) {
@@ -570,69 +1172,96 @@ function updateCountdownBar() {
   }
 }
 
-function startTimer() {
-  stopTimer();
-  state.timerId = setInterval(tickCountdown, 50); // 50msごとにtick
+// 現在の表示 1 回あたりの時間
+function poseDurationMs() {
+  if (state.plan.current) return state.plan.current.stage.sec * 1000;
+  return ms(dom.interval ? dom.interval.value : 30);
 }
 
-function enterPlay() {
-  if (!state.items.length) return;
-
-  state.mode = 'play';
-  updatePlayIcon();
-  setLeftDisabled(true);
-
-  // start with 3s gap countdown
-  state.phase = 'gap';
-  state.remainMs = 3000;
-  if (dom.countdown) dom.countdown.textContent = formatMMSS(state.remainMs);
-  showGapCountdown();
-  updateCountdownBar();
-  startTimer();
+function hasPlan() {
+  return state.plan.stages.length > 0;
 }
 
-function pausePlay() {
-  // 残り時間を保持したまま停止（再開で続きから）
-  stopTimer();
-  state.mode = 'paused';
-  updatePlayIcon();
-  setLeftDisabled(true); // 一時停止中も左カラム無効化
+function isPlanFinished() {
+  return hasPlan() && state.plan.poseIndex >= totalPoses(state.plan.stages);
 }
 
-function resumePlay() {
-  if (!state.items.length) return;
+function resetPlan() {
+  state.plan.stages = getSelectedStages();
+  state.plan.poseIndex = 0;
+  state.plan.current = null;
+}
 
-  state.mode = 'play';
-  updatePlayIcon();
-  setLeftDisabled(true); // 再生中も左カラム無効化
+// 次の表示をプランの段階に割り当てる。最終段階を終えていたら false
+function beginPose() {
+  if (!hasPlan()) return true;
+  if (isPlanFinished()) return false;
+  state.plan.current = stageAt(state.plan.stages, state.plan.poseIndex);
+  state.plan.poseIndex += 1;
+  return true;
+}
 
-  // 現在のフェーズに合わせてUIを整える（残り時間は保持）
-  if (state.phase === 'gap') {
-    showGapCountdown();
+function renderPlanProgress(done = false) {
+  if (!dom.planProgress) return;
+  if (!hasPlan() || (!isRunning() && !done)) {
+    dom.planProgress.hidden = true;
+    return;
+  }
+  dom.planProgress.hidden = false;
+  const stages = state.plan.stages;
+  const total = totalPoses(stages);
+  const cur = state.plan.current;
+  if (done) {
+    if (dom.planProgressStage) dom.planProgressStage.textContent = 'セッション完了';
+    if (dom.planProgressCount) dom.planProgressCount.textContent = `${total} / ${total}`;
+  } else if (cur) {
+    if (dom.planProgressStage) {
+      dom.planProgressStage.textContent = `段階 ${cur.stageIndex + 1} / ${stages.length}（${cur.stage.sec}秒）`;
+    }
+    if (dom.planProgressCount) {
+      dom.planProgressCount.textContent = `${cur.indexInStage + 1} / ${cur.stage.count}`;
+    }
   } else {
-    hideGapCountdown();
+    const first = stages[0];
+    if (dom.planProgressStage) dom.planProgressStage.textContent = `段階 1 / ${stages.length}（${first.sec}秒）`;
+    if (dom.planProgressCount) dom.planProgressCount.textContent = `0 / ${first.count}`;
+  }
+  if (dom.planProgressBar) {
+    const ratio = done ? 1 : (total ? state.plan.poseIndex / total : 0);
+    dom.planProgressBar.style.width = `${Math.round(ratio * 100)}%`;
   }
-  if (dom.countdown) dom.countdown.textContent = formatMMSS(state.remainMs);
-  updateCountdownBar();
-  startTimer();
 }
 
-function stopPlay() {
-  stopTimer();
-  state.mode = 'standby';
-  updatePlayIcon();
-  setLeftDisabled(false); // 停止時のみ有効化
+/** @returns {number|'wait'} インターバル秒数、または「次へ」待ち */
+function getGapSetting() {
+  const v = dom.gap ? dom.gap.value : String(DEFAULT_GAP_SEC);
+  if (v === GAP_WAIT) return GAP_WAIT;
+  const sec = Number(v);
+  return Number.isFinite(sec) && sec >= 0 ? sec : DEFAULT_GAP_SEC;
+}
 
-  state.phase = 'gap';
-  state.remainMs = 0;
-  hideGapCountdown();
-  if (dom.countdown) dom.countdown.textContent = '00:00';
-  if (dom.countdownBar) dom.countdownBar.style.height = '0%';
-  if (dom.countdownBarContainer) dom.countdownBarContainer.style.display = 'none';
+/**
+ * gap に入る。インターバルが 0 秒のとき（「次へ」待ちの開始直後も）は
+ * gap を置かないので false を返し、呼び出し側で続けて show へ進める。
+ * @param {{ initial?: boolean }} [opt] initial: スタート直後の最初の gap
+ */
+function enterGap(opt = {}) {
+  const gap = getGapSetting();
+  // 「次へ」待ちはスタート操作の直後には不要なので最初の 1 枚はすぐ表示
+  if (gap === 0 || (gap === GAP_WAIT && opt.initial)) {
+    state.waitingForNext = false;
+    setCountdown(0);
+    return false;
+  }
+  state.waitingForNext = gap === GAP_WAIT;
+  setCountdown(state.waitingForNext ? 0 : gap * 1000);
+  showGapCountdown();
+  return true;
 }
 
 function showNext(resetCountdown) {
   if (!state.items.length) return;
+  state.preview = null;
   const step = getGridCount();
   // idx は「現在表示している先頭」を指す。次へは step 分進める。
   state.idx = (state.idx + step) % state.items.length;
@@ -642,62 +1271,245 @@ function showNext(resetCountdown) {
 
   renderViewer();
 
-  // 表示した分を履歴へ
+  // 表示した分を履歴へ（閲覧時間は次の切替時に確定）
+  finishViewing();
+  const shownItems = [];
+  const now = Date.now();
   for (let i = 0; i < Math.min(step, state.items.length); i++) {
     const it = state.items[(state.idx + i) % state.items.length];
-    if (it && it.image) state.history.push(it.image);
+    if (it && it.image) shownItems.push(it);
   }
+  const shown = shownItems.map((it) => recordShown(state.history, it, now));
+  saveHistory(state.history);
+  startViewing(shown);
   renderHistory();
 
+  // ランダム順の既出記録（次回以降のセッションでは後回しになる）
+  markSeen(state.seen, shownItems, { fallback: state.seenBoard, now });
+  saveSeenLedger(state.seen);
+  renderSeenCount();
+
   if (resetCountdown) {
-    state.remainMs = ms(dom.interval ? dom.interval.value : 30);
-    if (dom.countdown) dom.countdown.textContent = formatMMSS(state.remainMs);
+    state.waitingForNext = false;
+    setCountdown(poseDurationMs());
     // 表示中はギャップ用カウントダウンは常に非表示
     hideGapCountdown();
     // グレースケール変換中（grayPending=1）の場合は、変換完了まで表示しない
     for (const img of viewerImgs) {
       if (img.dataset?.grayPending !== '1') img.hidden = false;
     }
-    updateCountdownBar();
   }
 }
 
-// ---- prepare (search) ----
-async function prepareAndPreview() {
-  if (state.mode === 'play') return; // 再生中は無視
+function showPrev(){
+  if(!state.items.length) return;
+  state.preview = null;
+  finishViewing();
+  const step = getGridCount();
+  state.idx=(state.idx-step+state.items.length*1000)%state.items.length;
+  renderViewer();
+}
+
+function setLoadingUI(loading) {
+  if (!dom.btnSearch) return;
+  dom.btnSearch.textContent = loading ? '読み込み中...' : 'スタート';
+}
 
-  setLeftDisabled(true);
-  if (dom.btnSearch) {
-    dom.btnSearch.disabled = true;
-    dom.btnSearch.textContent = '読み込み中...';
+// play:start（standby → loading）: 必要ならピンを取得して play:loaded / play:error へ
+bus.on('play:start', async ({ reload }, { txId, signal }) => {
+  if (!reload && state.items.length && state.itemsKey === currentItemsKey()) {
+    await play.dispatch('play:loaded', { count: state.items.length }, { txId });
+    return;
   }
 
-  try {
-    const items = await fetchPinsForCurrentSelection();
-    if (!items.length) {
-      state.items = [];
-      state.idx = -1;
-      renderViewer();
-      alert('画像が見つかりませんでした。ボードやピンが存在するか確認してください。');
+  const src = getSource();
+  if (src.type === SOURCE_SEARCH && !src.query) {
+    await play.dispatch('play:error', { reason: 'no-query' }, { txId });
+    return;
+  }
+
+  // 集約する再生元はストリーミングで受け取り、最初のピンが届いた時点で再生を始める。
+  // 以降に届いたピンは再生中に state.items へ足していく（play:stop で signal ごと中断）
+  let streaming = false;
+  const onBatch = async (batch, arrange) => {
+    if (signal.aborted || (streaming && play.state === 'standby')) return; // 停止・完了後は足さない
+    if (streaming) {
+      mergeStreamedItems(batch, arrange);
+      schedulePrefetch(); // 次に表示する分が入れ替わった
       return;
     }
-
-    state.items = items;
-    // 次回 showNext() で先頭が 0 になるよう、表示数分だけ戻しておく
+    streaming = true;
+    state.itemsKey = null; // 最後まで届く前に止めたら、次のスタートで取り直す
+    state.items = arrange(batch);
     state.idx = -getGridCount();
     state.shownCount = 0;
-    if (dom.counter) dom.counter.textContent = '0';
-    renderViewer();
-  
-    // 自動再生: まず3秒インターバル→画像表示へ
-    enterPlay();
-} finally {
-    setLeftDisabled(false);
-    if (dom.btnSearch) {
-      dom.btnSearch.disabled = false;
-      dom.btnSearch.textContent = 'スタート';
-    }
+    await play.dispatch('play:loaded', { count: state.items.length }, { txId });
+  };
+
+  let items;
+  try {
+    items = await fetchPinsForCurrentSelection({ signal, onBatch });
+  } catch (e) {
+    if (e?.name === 'AbortError') return; // play:stop で中断された
+    console.error('Failed to load pins', e);
+    // 再生を始めた後の失敗は、届いた分だけで続ける
+    if (streaming) return;
+    items = [];
+  }
+  if (signal.aborted || streaming) return;
+
+  if (!items.length) {
+    state.items = [];
+    state.idx = -1;
+    await play.dispatch('play:error', { reason: pinListCache.items.length ? 'filtered' : 'empty' }, { txId });
+    return;
+  }
+
+  state.items = items;
+  // 次回 showNext() で先頭が 0 になるよう、表示数分だけ戻しておく
+  state.idx = -getGridCount();
+  state.shownCount = 0;
+  await play.dispatch('play:loaded', { count: items.length }, { txId });
+});
+
+bus.on('play:start', () => {
+  state.preview = null;
+  setLeftDisabled(true);
+  setLoadingUI(true);
+  updatePlayIcon();
+}, { phase: 'pre' });
+
+bus.on('play:error', ({ reason }) => {
+  setLeftDisabled(false);
+  setLoadingUI(false);
+  updatePlayIcon();
+  renderViewer();
+  if (reason === 'empty') {
+    alert('画像が見つかりませんでした。ボードやピンが存在するか確認してください。');
+  } else if (reason === 'filtered') {
+    alert('絞り込みの条件に合うピンがありません。条件をゆるめてください。');
+  } else if (reason === 'no-query') {
+    alert('テーマ（検索ワード）を入力してください。');
+    dom.searchQuery?.focus();
+  }
+}, { phase: 'post' });
+
+// play:loaded（loading → gap）: 自動再生。まずインターバル（既定3秒）→画像表示へ
+bus.on('play:loaded', (_, { txId }) => {
+  resetPlan();
+  startTimer();
+  if (!enterGap({ initial: true })) return play.dispatch('countdown:done', {}, { txId });
+});
+
+bus.on('play:loaded', () => {
+  setLoadingUI(false);
+  if (dom.counter) dom.counter.textContent = String(state.shownCount);
+  renderViewer();
+  updatePlayIcon();
+  renderCountdown();
+  renderPlanProgress();
+}, { phase: 'post' });
+
+bus.on('countdown:tick', ({ remainMs }) => {
+  state.remainMs = remainMs;
+});
+
+// 描画は renderFrame（rAF）が担当。ここでは締切到達だけを見る
+bus.on('countdown:tick', (_, { txId }) => {
+  if (state.remainMs <= 0) play.dispatch('countdown:done', {}, { txId });
+}, { phase: 'post' });
+
+// countdown:done: gap → show は次の画像へ、show → gap はインターバルへ
+// プランの最終段階を終えたらインターバルを挟まず play:complete
+bus.on('countdown:done', ({ to }, { txId }) => {
+  if (to === 'show') {
+    if (!beginPose()) return play.dispatch('play:complete', {}, { txId });
+    showNext(true); // 次の画像を表示し、表示用カウントダウンを開始
+    return;
+  }
+  finishViewing();
+  if (isPlanFinished()) {
+    return play.dispatch('play:complete', {}, { txId });
+  }
+  if (!enterGap()) {
+    // インターバル 0 秒: そのまま次の画像へ
+    return play.dispatch('countdown:done', {}, { txId });
+  }
+});
+
+bus.on('countdown:done', () => {
+  if (!isRunning()) return;
+  renderCountdown();
+  renderPlanProgress();
+}, { phase: 'post' });
+
+bus.on('play:next', ({ from }, { txId }) => {
+  // 再生中の手動送りもプランの 1 回として数える
+  if (from !== 'standby' && !beginPose()) return play.dispatch('play:complete', {}, { txId });
+  showNext(true);
+  // 一時停止中に送った場合、再開後は表示フェーズから（閲覧時間も再開後から数える）
+  if (from === 'paused') {
+    play.resumeTo = 'show';
+    pauseViewing();
   }
+});
+
+bus.on('play:next', () => {
+  if (!isRunning()) return;
+  renderCountdown();
+  renderPlanProgress();
+}, { phase: 'post' });
+
+bus.on('play:prev', () => showPrev());
+
+bus.on('play:pause', () => {
+  // 残り時間を保持したまま停止（再開で続きから）
+  stopTimer();
+  pauseViewing();
+});
+
+bus.on('play:resume', () => {
+  startTimer();
+  resumeViewing();
+});
+
+for (const name of ['play:pause', 'play:resume']) {
+  bus.on(name, () => {
+    updatePlayIcon();
+    // 現在のフェーズに合わせてUIを整える（残り時間は保持）
+    renderCountdown();
+  }, { phase: 'post' });
+}
+
+for (const name of ['play:stop', 'play:complete']) {
+  bus.on(name, () => {
+    stopTimer();
+    state.remainMs = 0;
+    finishViewing();
+    prefetchQueue.cancel();
+  });
+}
+
+bus.on('play:stop', () => {
+  state.waitingForNext = false;
+  resetStandbyUI();
+  renderPlanProgress();
+}, { phase: 'post' });
+
+bus.on('play:complete', () => {
+  state.waitingForNext = false;
+  resetStandbyUI();
+  renderPlanProgress(true);
+}, { phase: 'post' });
+
+function resetStandbyUI() {
+  updatePlayIcon();
+  setLeftDisabled(false); // 停止時のみ有効化
+  setLoadingUI(false);
+  hideGapCountdown();
+  if (dom.countdown) dom.countdown.textContent = '00:00';
+  if (dom.countdownBar) dom.countdownBar.style.height = '0%';
+  if (dom.countdownBarContainer) dom.countdownBarContainer.style.display = 'none';
 }
 
 // ---- event wiring ----
@@ -707,48 +1519,48 @@ if (dom.btnSearch) {
     document.body.classList.remove('drawer-open-left');
     const overlay = document.getElementById('drawer-overlay');
     if (overlay) overlay.hidden = true;
-    prepareAndPreview();
+    play.dispatch('play:start', { reload: true }, { txId: newTxId(), lockKey: PLAY_LOCK });
   });
 }
 
 if (dom.btnPlay) {
-  dom.btnPlay.addEventListener('click', async () => {
-    if (state.mode === 'play') {
-      pausePlay();
-      return;
-    }
-    if (state.mode === 'paused') {
-      resumePlay();
-      return;
-    }
-
-    // standby: 初回再生で items が無ければ自動準備
-    if (!state.items.length) {
-      await prepareAndPreview();
-    }
-
-    if (state.items.length) {
-      enterPlay(); // ★ここで確実にカウントダウン開始
+  dom.btnPlay.addEventListener('click', () => {
+    const txId = newTxId();
+    if (play.state === 'gap' && state.waitingForNext) {
+      // 「次へ」待ち中の再生ボタン（Space）は次へ進める
+      play.dispatch('play:next', { reset: true }, { txId });
+    } else if (play.state === 'gap' || play.state === 'show') {
+      play.dispatch('play:pause', {}, { txId });
+    } else if (play.state === 'paused') {
+      play.dispatch('play:resume', {}, { txId });
+    } else {
+      // standby: 初回再生で items が無ければ自動準備（loading 中の連打は表で捨てられる）
+      play.dispatch('play:start', { reload: false }, { txId, lockKey: PLAY_LOCK });
     }
   });
 }
 
 if (dom.btnStop) {
   dom.btnStop.addEventListener('click', () => {
-    stopPlay();
+    play.dispatch('play:stop', {}, { txId: newTxId(), lockKey: PLAY_LOCK });
   });
 }
 
-if (dom.btnPrev) { dom.btnPrev.addEventListener('click',()=>showPrev()); }
+if (dom.btnPrev) {
+  dom.btnPrev.addEventListener('click', () => {
+    play.dispatch('play:prev', {}, { txId: newTxId() });
+  });
+}
 
 if (dom.btnNext) {
   dom.btnNext.addEventListener('click', () => {
-    showNext(true);
+    play.dispatch('play:next', { reset: true }, { txId: newTxId() });
   });
 }
 
-// Keyboard shortcuts
+// Keyboard shortcuts（入力欄では Space や矢印キーを文字入力・カーソル移動に使う。shortcuts.js を参照）
 window.addEventListener('keydown', (e) => {
+  if (isTextEntryTarget(e.target)) return;
   if (e.code === 'Space') {
     e.preventDefault();
     if (dom.btnPlay) dom.btnPlay.click();
@@ -777,6 +1589,275 @@ if (dom.interval) {
   });
 }
 
+// --- インターバル（秒 / 「次へ」待ち）を localStorage で保存・復元 ---
+const GAP_KEY = 'pinterval_gap_sec';
+if (dom.gap) {
+  const saved = localStorage.getItem(GAP_KEY);
+  if (saved && Array.from(dom.gap.options).some(opt => opt.value === saved)) {
+    dom.gap.value = saved;
+  } else {
+    dom.gap.value = String(DEFAULT_GAP_SEC);
+  }
+  dom.gap.addEventListener('change', () => {
+    localStorage.setItem(GAP_KEY, dom.gap.value);
+  });
+}
+
+// --- ランダム順: シード（localStorage に保存）と既出記録のリセット ---
+const SEED_KEY = 'pinterval_random_seed';
+
+/** 既出リセットの対象（選択中のボード。セクションはその親ボード。検索はそのテーマ。すべてのピンなら全ボード） */
+function seenResetTarget() {
+  return sourceSeenKeys(getSource());
+}
+
+function renderSeenCount() {
+  if (!dom.btnSeenReset) return;
+  const n = countSeen(state.seen, seenResetTarget());
+  dom.btnSeenReset.textContent = n ? `既出リセット（${n}）` : '既出リセット';
+}
+
+if (dom.seed) {
+  dom.seed.value = localStorage.getItem(SEED_KEY) || '';
+  dom.seed.addEventListener('change', () => {
+    const v = dom.seed.value.trim();
+    if (v) localStorage.setItem(SEED_KEY, v);
+    else localStorage.removeItem(SEED_KEY);
+  });
+}
+if (dom.btnSeenReset) {
+  dom.btnSeenReset.addEventListener('click', () => {
+    const target = seenResetTarget();
+    const label = target == null ? 'すべてのボード'
+      : currentSourceType() === SOURCE_SEARCH ? 'このテーマ'
+      : target.length === 1 ? 'このボード' : `選択した ${target.length} ボード`;
+    if (!confirm(`${label}の既出記録を消して、すべてのピンを未表示に戻しますか？`)) return;
+    resetSeen(state.seen, target);
+    saveSeenLedger(state.seen);
+    renderSeenCount();
+  });
+}
+dom.board?.addEventListener('change', renderSeenCount);
+
+// --- 絞り込み（向き・サイズ・縦横比・キーワード）を localStorage で保存・復元 ---
+const FILTER_COUNT_DELAY_MS = 300;
+let filterCountTimer = null;
+/** @type {AbortController|null} */
+let filterCountAbort = null;
+
+function filterControls() {
+  return [dom.filterOrientation, dom.filterMinSize, dom.filterMaxRatio, dom.filterInclude, dom.filterExclude]
+    .filter(Boolean);
+}
+
+/** @returns {import('./pinFilter.js').PinFilter} */
+function readFilter() {
+  return normalizeFilter({
+    orientation: dom.filterOrientation?.value,
+    minSize: dom.filterMinSize?.value,
+    maxRatio: dom.filterMaxRatio?.value,
+    include: dom.filterInclude?.value,
+    exclude: dom.filterExclude?.value,
+  });
+}
+
+/** @param {import('./pinFilter.js').PinFilter} f */
+function writeFilter(f) {
+  const setSelect = (el, v) => {
+    if (el && Array.from(el.options).some((o) => o.value === String(v))) el.value = String(v);
+  };
+  setSelect(dom.filterOrientation, f.orientation);
+  setSelect(dom.filterMinSize, f.minSize);
+  setSelect(dom.filterMaxRatio, f.maxRatio);
+  if (dom.filterInclude) dom.filterInclude.value = f.include;
+  if (dom.filterExclude) dom.filterExclude.value = f.exclude;
+}
+
+function renderFilterCount(matched, total) {
+  if (!dom.filterCount) return;
+  dom.filterCount.textContent = isFilterActive(readFilter())
+    ? `該当 ${matched} / ${total} 件`
+    : `${total} 件`;
+}
+
+// 条件・ボードを変えたら、取得済みの一覧（無ければ取得して）で該当件数を数え直す
+function scheduleFilterCount() {
+  clearTimeout(filterCountTimer);
+  filterCountTimer = setTimeout(refreshFilterCount, FILTER_COUNT_DELAY_MS);
+}
+
+async function refreshFilterCount() {
+  if (play.state !== 'standby') return;
+  filterCountAbort?.abort();
+  const ac = new AbortController();
+  filterCountAbort = ac;
+  if (dom.filterCount && pinListCache.key !== sourceKey(getSource())) {
+    dom.filterCount.textContent = '件数を確認中…';
+  }
+  try {
+    const all = await fetchPinList({ signal: ac.signal, quiet: true });
+    if (ac.signal.aborted) return;
+    renderFilterCount(applyFilter(all, readFilter()).length, all.length);
+  } catch (e) {
+    if (e?.name !== 'AbortError') console.warn('Failed to count pins', e);
+  } finally {
+    if (filterCountAbort === ac) filterCountAbort = null;
+  }
+}
+
+writeFilter(loadFilter());
+for (const el of filterControls()) {
+  el.addEventListener(el.tagName === 'INPUT' ? 'input' : 'change', () => {
+    saveFilter(readFilter());
+    scheduleFilterCount();
+  });
+}
+dom.board?.addEventListener('change', scheduleFilterCount);
+dom.board?.addEventListener('change', renderSourceWarning);
+
+// --- ボード一覧の更新: サーバのキャッシュを使わずにボード・セクション・ピンを取り直す ---
+dom.btnReloadBoards?.addEventListener('click', async () => {
+  const btn = /** @type {HTMLButtonElement} */ (dom.btnReloadBoards);
+  btn.disabled = true;
+  pinListCache.key = null;
+  pinListCache.refresh = true;
+  try {
+    await loadBoards({ refresh: true });
+  } finally {
+    btn.disabled = play.state !== 'standby';
+  }
+  renderSeenCount();
+  scheduleFilterCount();
+});
+
+// --- 再生元（ボード・セクション / テーマ検索）と検索ワードを localStorage で保存・復元 ---
+const SOURCE_KEY = 'pinterval_source';
+const SEARCH_QUERY_KEY = 'pinterval_search_query';
+
+function renderSourcePanels() {
+  const search = currentSourceType() === SOURCE_SEARCH;
+  if (dom.sourceBoards) dom.sourceBoards.hidden = search;
+  if (dom.sourceSearch) dom.sourceSearch.hidden = !search;
+}
+
+function onSourceChanged() {
+  renderSourcePanels();
+  renderSourceWarning();
+  renderSeenCount();
+  scheduleFilterCount();
+}
+
+{
+  const savedSource = localStorage.getItem(SOURCE_KEY);
+  for (const el of dom.sourceRadios) {
+    if (savedSource) el.checked = el.value === savedSource;
+    el.addEventListener('change', () => {
+      localStorage.setItem(SOURCE_KEY, currentSourceType());
+      onSourceChanged();
+      if (currentSourceType() === SOURCE_SEARCH) dom.searchQuery?.focus();
+    });
+  }
+}
+if (dom.searchQuery) {
+  dom.searchQuery.value = localStorage.getItem(SEARCH_QUERY_KEY) || '';
+  // 入力確定（Enter / フォーカス移動）で件数を数え直す。1 文字ごとには検索しない
+  dom.searchQuery.addEventListener('change', () => {
+    localStorage.setItem(SEARCH_QUERY_KEY, dom.searchQuery.value.trim());
+    renderSeenCount();
+    scheduleFilterCount();
+  });
+}
+renderSourcePanels();
+renderSeenCount();
+if (isFilterActive(readFilter())) scheduleFilterCount();
+
+// --- セッションプラン（プリセット + localStorage 保存分） ---
+const PLAN_NONE = '';
+const PLAN_CUSTOM = 'custom';
+
+function isUserPlan(id) {
+  return !!id && loadUserPlans().some((p) => p.id === id);
+}
+
+/** 入力欄の段階（プラン「なし」なら空） */
+function getSelectedStages() {
+  if (!dom.plan || dom.plan.value === PLAN_NONE) return [];
+  return parseStages(dom.planStages ? dom.planStages.value : '');
+}
+
+function renderPlanOptions(selectedId) {
+  if (!dom.plan) return;
+  dom.plan.innerHTML = '';
+  const add = (value, label) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    dom.plan.appendChild(option);
+  };
+  add(PLAN_NONE, 'なし（表示間隔を使用）');
+  for (const p of listPlans()) add(p.id, `${p.name}（${formatStages(p.stages)}）`);
+  add(PLAN_CUSTOM, 'カスタム（未保存）');
+  dom.plan.value = selectedId;
+  if (dom.plan.value !== selectedId) dom.plan.value = PLAN_NONE;
+}
+
+// 入力欄の内容に一致するプランを選択状態にする
+function syncPlanSelection() {
+  if (!dom.plan || !dom.planStages) return;
+  const text = dom.planStages.value.trim();
+  const stages = parseStages(text);
+  dom.planStages.classList.toggle('invalid', !!text && !stages.length);
+  if (!text) {
+    dom.plan.value = PLAN_NONE;
+  } else {
+    const formatted = formatStages(stages);
+    const match = stages.length ? listPlans().find((p) => formatStages(p.stages) === formatted) : null;
+    dom.plan.value = match ? match.id : PLAN_CUSTOM;
+  }
+  localStorage.setItem(PLAN_SELECTED_KEY, text);
+  setLeftDisabled(false);
+}
+
+if (dom.plan && dom.planStages) {
+  renderPlanOptions(PLAN_NONE);
+  dom.planStages.value = localStorage.getItem(PLAN_SELECTED_KEY) || '';
+  syncPlanSelection();
+
+  dom.plan.addEventListener('change', () => {
+    const plan = listPlans().find((p) => p.id === dom.plan.value);
+    if (plan) dom.planStages.value = formatStages(plan.stages);
+    if (dom.plan.value === PLAN_NONE) dom.planStages.value = '';
+    syncPlanSelection();
+  });
+
+  dom.planStages.addEventListener('change', syncPlanSelection);
+
+  dom.btnPlanSave?.addEventListener('click', () => {
+    const stages = parseStages(dom.planStages.value);
+    if (!stages.length) {
+      alert('「回数x秒」をカンマ区切りで入力してください（例: 10x30, 5x60, 2x300）。');
+      return;
+    }
+    const current = loadUserPlans().find((p) => p.id === dom.plan.value);
+    const name = prompt('プラン名', current ? current.name : formatStages(stages));
+    if (!name || !name.trim()) return;
+    const plans = loadUserPlans().filter((p) => p.id !== current?.id);
+    const id = current?.id || `user:${Date.now().toString(36)}`;
+    plans.push({ id, name: name.trim(), stages });
+    saveUserPlans(plans);
+    renderPlanOptions(id);
+    syncPlanSelection();
+  });
+
+  dom.btnPlanDelete?.addEventListener('click', () => {
+    const id = dom.plan.value;
+    if (!isUserPlan(id)) return;
+    saveUserPlans(loadUserPlans().filter((p) => p.id !== id));
+    renderPlanOptions(PLAN_CUSTOM);
+    syncPlanSelection();
+  });
+}
+
 // --- 同時表示数（1/4/9/16）を localStorage で保存・復元 ---
 const GRIDCOUNT_KEY = 'pinterval_grid_count';
 if (dom.gridCount) {
@@ -790,7 +1871,7 @@ if (dom.gridCount) {
     localStorage.setItem(GRIDCOUNT_KEY, dom.gridCount.value);
 
     // 再生中はUIが無効化される想定だが、念のためガード
-    if (state.mode === 'play') return;
+    if (isRunning()) return;
 
     // 表示中なら「先頭 idx」を合わせる（次の showNext で飛ばないよう補正）
     if (state.items.length && state.idx >= 0) {
@@ -822,28 +1903,92 @@ if (dom.gridCount) {
   }
 }
 
+// --- スタディフィルタを localStorage で保存・復元（グレースケールと同じく再生中も切り替えられる） ---
+{
+  try {
+    state.filters = normalizeFilters(JSON.parse(localStorage.getItem(STUDY_FILTERS_KEY) || '[]'));
+  } catch {
+    state.filters = [];
+  }
+  if (dom.studyFilters) {
+    const checks = /** @type {HTMLInputElement[]} */ (Array.from(dom.studyFilters.querySelectorAll('input[data-filter]')));
+    const params = /** @type {HTMLSelectElement[]} */ (Array.from(dom.studyFilters.querySelectorAll('select[data-filter-param]')));
+    for (const input of checks) {
+      input.checked = state.filters.some((op) => op.name === input.dataset.filter);
+    }
+    for (const select of params) {
+      const name = select.dataset.filterParam || '';
+      const op = state.filters.find((f) => f.name === name);
+      select.value = String(op?.param ?? FILTERS[name]?.param?.default ?? select.value);
+    }
+    dom.studyFilters.addEventListener('change', () => {
+      const before = filterSpec(state.filters);
+      state.filters = normalizeFilters(checks.filter((input) => input.checked).map((input) => {
+        const select = params.find((s) => s.dataset.filterParam === input.dataset.filter);
+        return { name: input.dataset.filter, param: select ? Number(select.value) : undefined };
+      }));
+      localStorage.setItem(STUDY_FILTERS_KEY, JSON.stringify(state.filters));
+      // 選んでいないフィルタのパラメータを変えただけなら描き直さない
+      if (filterSpec(state.filters) === before) return;
+      // 表示中の画像と履歴を即時に切替
+      renderViewer();
+      renderHistory();
+    });
+  }
+}
+
+// --- 変換済み画像のキャッシュ（IndexedDB）の使用量表示と消去 ---
+function formatBytes(n) {
+  if (n < 1024 * 1024) return `${Math.round(n / 1024)}KB`;
+  return `${(n / 1024 / 1024).toFixed(1)}MB`;
+}
+
+async function renderImageCacheUsage() {
+  if (!dom.imageCacheUsage) return;
+  const { bytes, count, available } = await imageStore.usage();
+  dom.imageCacheUsage.textContent = available
+    ? `画像キャッシュ ${formatBytes(bytes)}（${count} 件）`
+    : '画像キャッシュは使用できません';
+  if (dom.btnClearImageCache) dom.btnClearImageCache.disabled = !available || count === 0;
+}
+
+if (dom.btnClearImageCache) {
+  dom.btnClearImageCache.addEventListener('click', async () => {
+    const { bytes } = await imageStore.usage();
+    if (!confirm(`保存した変換済み画像（${formatBytes(bytes)}）を消去しますか？`)) return;
+    await imageStore.clear();
+    clearMemoryCache();
+    renderImageCacheUsage();
+  });
+}
+renderImageCacheUsage();
+
 renderHistory();
 renderViewer();
 loadBoards();
 // 初期状態でバー非表示
 if (dom.countdownBarContainer) dom.countdownBarContainer.style.display = 'none';
 
+// 閉じる・リロード時も閲覧時間を保存
+window.addEventListener('pagehide', finishViewing);
+
 // Optional: expose for debugging
 window.__PINTERVAL_STATE__ = state;
+window.__PINTERVAL_PLAY__ = play;
+if (tracer) mountEventTracerPanel(tracer);
 
-document.getElementById('loginBtn')?.addEventListener('click',()=>{window.location.href='https://pinterval.onrender.com/auth/login';});
+document.getElementById('loginBtn')?.addEventListener('click',(e)=>{
+  if (e.currentTarget.dataset.loggedIn === '1') {
+    window.location.href = appConfig.logoutUrl;
+    return;
+  }
+  goToLogin();
+});
 
 function updatePlayIcon(){
   if(!dom.btnPlay) return;
   // 再生中は一時停止（⏸）、一時停止中は再生（▶）
-  dom.btnPlay.textContent = (state.mode==='play') ? '⏸' : '▶';
-}
-
-function showPrev(){
-  if(!state.items.length) return;
-  const step = getGridCount();
-  state.idx=(state.idx-step+state.items.length*1000)%state.items.length;
-  renderViewer();
+  dom.btnPlay.textContent = (play.state==='gap' || play.state==='show') ? '⏸' : '▶';
 }
 
 // ---- mobile / portrait drawer UI ----
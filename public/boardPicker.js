@@ -0,0 +1,213 @@
+// Board picker: 再生元のボード / セクションを複数選ぶチェックボックス一覧
+//
+// 「すべてのピン」と個別の選択は排他。個別の選択をすべて外すと「すべてのピン」に戻る。
+// セクションはボードの ▸ を開いたときに読み込む。
+// 選択が変わると root（<fieldset>）で change イベントが発生する。
+// ボード一覧を読み込み直しても、残っているボード・セクションの選択は引き継ぐ。
+
+/**
+ * @typedef {{ boardId: string, sectionId: string }} SectionRef
+ * @typedef {{ all: boolean, boards: string[], sections: SectionRef[] }} BoardSelection
+ */
+
+export const ALL_PINS = 'all';
+
+/**
+ * @param {HTMLFieldSetElement} root
+ * @param {{ loadSections: (boardId: string) => Promise<Array<{ id: string, name: string }>> }} opt
+ */
+export function mountBoardPicker(root, opt) {
+  root.innerHTML = '';
+  const allLabel = createOption({ kind: ALL_PINS, value: ALL_PINS, text: 'すべてのピン' });
+  const allInput = /** @type {HTMLInputElement} */ (allLabel.querySelector('input'));
+  allInput.checked = true;
+  const list = document.createElement('div');
+  list.className = 'board-list';
+  const summary = document.createElement('div');
+  summary.className = 'board-summary';
+  /** @type {Map<string, string>} boardId → 表示名 */
+  const boardNames = new Map();
+  root.append(allLabel, list);
+  // 一覧はスクロールするので、選択の要約は枠の外に出す
+  root.insertAdjacentElement('afterend', summary);
+
+  // 利用側の change ハンドラより先に「すべて」と個別選択の排他を整える
+  root.addEventListener('change', (e) => {
+    const input = /** @type {HTMLInputElement} */ (e.target);
+    if (input === allInput) {
+      if (allInput.checked) {
+        for (const el of individualInputs()) el.checked = false;
+      } else if (!individualInputs().some((el) => el.checked)) {
+        allInput.checked = true; // 何も選ばない状態は作らない
+      }
+    } else if (input.checked) {
+      allInput.checked = false;
+    } else if (!individualInputs().some((el) => el.checked)) {
+      allInput.checked = true;
+    }
+    renderSummary();
+  }, { capture: true });
+
+  function individualInputs() {
+    return /** @type {HTMLInputElement[]} */ (Array.from(list.querySelectorAll('input[type="checkbox"]')));
+  }
+
+  /** @returns {BoardSelection} */
+  function getSelection() {
+    const boards = [];
+    const sections = [];
+    if (!allInput.checked) {
+      for (const el of individualInputs()) {
+        if (!el.checked) continue;
+        if (el.dataset.kind === 'section') sections.push({ boardId: el.dataset.boardId || '', sectionId: el.value });
+        else boards.push(el.value);
+      }
+    }
+    return { all: allInput.checked || (!boards.length && !sections.length), boards, sections };
+  }
+
+  function renderSummary() {
+    const sel = getSelection();
+    const parts = [];
+    if (sel.boards.length) parts.push(`${sel.boards.length} ボード`);
+    if (sel.sections.length) parts.push(`${sel.sections.length} セクション`);
+    summary.textContent = sel.all ? '' : `選択中: ${parts.join('・')}`;
+  }
+
+  async function toggleSections(item, boardId, btn, open = btn.getAttribute('aria-expanded') !== 'true') {
+    const box = /** @type {HTMLElement} */ (item.querySelector('.board-sections'));
+    btn.setAttribute('aria-expanded', String(open));
+    btn.textContent = open ? '▾' : '▸';
+    box.hidden = !open;
+    if (!open || box.dataset.loaded === '1') return;
+
+    box.textContent = '読み込み中…';
+    try {
+      const sections = await opt.loadSections(boardId);
+      box.textContent = '';
+      box.dataset.loaded = '1';
+      if (!sections.length) {
+        box.textContent = 'セクションはありません';
+        return;
+      }
+      for (const s of sections) {
+        box.appendChild(createOption({ kind: 'section', value: s.id, text: s.name || s.id, boardId }));
+      }
+    } catch (e) {
+      console.warn('Failed to load sections', boardId, e);
+      box.textContent = 'セクションを取得できませんでした';
+    }
+  }
+
+  /**
+   * 読み込み直した一覧に、前の選択のうち残っているものを付け直す。
+   * 選んでいたセクションはそのボードのセクションを開いて探す。
+   * @param {BoardSelection} prev
+   */
+  async function restoreSelection(prev) {
+    const items = /** @type {HTMLElement[]} */ (Array.from(list.querySelectorAll('.board-item')));
+    const itemOf = (boardId) => items.find((el) => el.dataset.boardId === boardId);
+
+    for (const id of prev.boards) {
+      const input = itemOf(id)?.querySelector('input[data-kind="board"]');
+      if (input) /** @type {HTMLInputElement} */ (input).checked = true;
+    }
+    for (const boardId of new Set(prev.sections.map((x) => x.boardId))) {
+      const item = itemOf(boardId);
+      if (!item) continue;
+      await toggleSections(item, boardId, /** @type {HTMLButtonElement} */ (item.querySelector('.board-sections-toggle')), true);
+      for (const el of item.querySelectorAll('input[data-kind="section"]')) {
+        const input = /** @type {HTMLInputElement} */ (el);
+        if (prev.sections.some((x) => x.boardId === boardId && x.sectionId === input.value)) input.checked = true;
+      }
+    }
+
+    allInput.checked = !individualInputs().some((el) => el.checked);
+    renderSummary();
+    // 消えたボード・セクションがあれば選択が変わったことを知らせる
+    if (selectionKey(getSelection()) !== selectionKey(prev)) {
+      root.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+  }
+
+  return {
+    getSelection,
+
+    /**
+     * @param {Array<{ id: string, name: string }>} boards
+     * @returns {Promise<void>} 前の選択を付け直し終えたら解決
+     */
+    setBoards(boards) {
+      const prev = getSelection();
+      list.innerHTML = '';
+      boardNames.clear();
+      for (const b of boards) boardNames.set(b.id, b.name || b.id);
+      for (const b of boards) {
+        const item = document.createElement('div');
+        item.className = 'board-item';
+        item.dataset.boardId = b.id;
+
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'board-sections-toggle';
+        btn.textContent = '▸';
+        btn.title = 'セクションを表示';
+        btn.setAttribute('aria-expanded', 'false');
+        btn.addEventListener('click', () => toggleSections(item, b.id, btn));
+
+        const box = document.createElement('div');
+        box.className = 'board-sections';
+        box.hidden = true;
+
+        item.append(createOption({ kind: 'board', value: b.id, text: b.name || b.id }), btn, box);
+        list.appendChild(item);
+      }
+      if (!boards.length) this.setMessage('ボードが見つかりません');
+      allInput.checked = true;
+      renderSummary();
+      return prev.all ? Promise.resolve() : restoreSelection(prev);
+    },
+
+    /** @param {string} boardId @returns {string|null} 一覧にあるボードの表示名 */
+    boardName(boardId) {
+      return boardNames.get(boardId) ?? null;
+    },
+
+    /** @param {string} text ボード一覧の代わりに出す案内 */
+    setMessage(text) {
+      list.innerHTML = '';
+      const p = document.createElement('p');
+      p.className = 'board-picker-note';
+      p.textContent = text;
+      list.appendChild(p);
+    },
+  };
+}
+
+/** @param {BoardSelection} sel キャッシュ等の比較用キー */
+export function selectionKey(sel) {
+  if (sel.all) return ALL_PINS;
+  const boards = sel.boards.slice().sort().map((id) => `b:${id}`);
+  const sections = sel.sections.map((s) => `s:${s.boardId}:${s.sectionId}`).sort();
+  return [...boards, ...sections].join(',');
+}
+
+/** @param {BoardSelection} sel @returns {string[]|null} 関係するボード id（すべてのピンなら null） */
+export function selectionBoardIds(sel) {
+  if (sel.all) return null;
+  return [...new Set([...sel.boards, ...sel.sections.map((s) => s.boardId)])];
+}
+
+function createOption({ kind, value, text, boardId = '' }) {
+  const label = document.createElement('label');
+  label.className = `board-option is-${kind}`;
+  const input = document.createElement('input');
+  input.type = 'checkbox';
+  input.value = value;
+  input.dataset.kind = kind;
+  if (boardId) input.dataset.boardId = boardId;
+  const span = document.createElement('span');
+  span.textContent = text;
+  label.append(input, span);
+  return label;
+}
@@ -80,8 +80,25 @@ export const bus = new EventBus();
 //  - pre: validate query
 //  - main: fetch images via /api/search
 //  - post: update UI
-// name: 'play:start' payload: none
+//
+// Play events (dispatched through playMachine.js; payload には遷移の { from, to } が付く)
+// 状態と許可イベントは PLAY_TRANSITIONS を参照。表に無いイベントは発火前に捨てられる。
+// name: 'play:start' payload: { reload: boolean }  lockKey: 'play:load'
+//  - pre: 左カラム無効化 / 読み込み表示
+//  - main: ピン取得（signal で中断可）→ play:loaded | play:error
+//    複数ボードの集約はストリーミングで受け取り、最初のピンが届いた時点で play:loaded。
+//    残りは play:loaded 後も main の中で受け取り続け、まだ表示していない部分へ足す
+// name: 'play:loaded' payload: { count: number }
+//  - main: インターバル開始（長さは設定 pinterval_gap_sec: 0秒ならすぐ表示、3〜30秒、「次へ」待ち）
+//    post: ビューワ/カウントダウン更新
+// name: 'play:error' payload: { reason: string }
+//  - reason: 'empty'（ピンが無い）| 'filtered'（絞り込みで 0 件）| 'no-query'（テーマ検索のワードが空）
 // name: 'play:pause' payload: none
-// name: 'play:stop' payload: none
+// name: 'play:resume' payload: none
+// name: 'play:stop' payload: none  lockKey: 'play:load'（読み込み中なら abort）
 // name: 'play:next' payload: { reset: boolean }
-// name: 'countdown:tick' payload: { remainMs: number }
+// name: 'play:prev' payload: none
+// name: 'play:complete' payload: none（セッションプランの全段階が終わったら自動で standby へ）
+// name: 'countdown:tick' payload: { remainMs: number }（performance.now() の締切から算出、最大 250ms 間隔）
+//  - post: 0 以下なら countdown:done（バー等の描画は requestAnimationFrame 側）
+// name: 'countdown:done' payload: none（gap → show / show → gap）
@@ -0,0 +1,205 @@
+// Study filters: 描く練習用の画像フィルタ（左右反転・ぼかし・ノタン（明暗の単純化）・輪郭）
+//
+// 画素の処理はブラウザ（grayscale.js / grayscaleWorker.js）とサーバ（server/imageTransform.js）で共用する。
+// 重ねたフィルタ（スタック）は選んだ順に関係なく FILTER_ORDER の順に適用し、
+// "mirror,blur:2,posterize:3,edge" の形の文字列で表す。変換済み画像の URL（/api/image-proxy の fx）と
+// キャッシュのキーにもこの文字列を使うので、同じ組み合わせは同じキーになる。
+// グレースケールは従来どおり別のスイッチ（gray）で、ぼかしの後・ノタン / 輪郭の前に掛かる。
+
+/** 適用順（左右反転 → ぼかし →（グレースケール）→ ノタン → 輪郭） */
+export const FILTER_ORDER = Object.freeze(['mirror', 'blur', 'posterize', 'edge']);
+
+/**
+ * フィルタごとの表示名とパラメータ（values のいずれか。省略時は default）。
+ * blur は長辺に対する半径の %、posterize は階調数。
+ */
+export const FILTERS = Object.freeze({
+  mirror: { label: '左右反転', param: null },
+  blur: { label: 'ぼかし', param: { values: [1, 2, 4], default: 2 } },
+  posterize: { label: 'ノタン', param: { values: [2, 3, 5], default: 3 } },
+  edge: { label: '輪郭', param: null }
+});
+
+/**
+ * @typedef {{ name: 'mirror'|'blur'|'posterize'|'edge', param?: number }} FilterOp
+ * @typedef {{ data: Uint8ClampedArray, width: number, height: number }} RgbaImage
+ */
+
+/**
+ * 並びを適用順にそろえ、重複・未知のフィルタ・範囲外のパラメータを除く（保存値の読み込み用）。
+ * @param {any} ops
+ * @returns {FilterOp[]}
+ */
+export function normalizeFilters(ops) {
+  if (!Array.isArray(ops)) return [];
+  const byName = new Map();
+  for (const op of ops) {
+    const def = FILTERS[op?.name];
+    if (!def || byName.has(op.name)) continue;
+    if (!def.param) {
+      byName.set(op.name, { name: op.name });
+      continue;
+    }
+    const param = Number(op.param);
+    byName.set(op.name, { name: op.name, param: def.param.values.includes(param) ? param : def.param.default });
+  }
+  return FILTER_ORDER.filter((name) => byName.has(name)).map((name) => byName.get(name));
+}
+
+/**
+ * "mirror,blur:2" の形の文字列を解釈する。未知のフィルタ・不正なパラメータは Error。
+ * @param {string} spec
+ * @returns {FilterOp[]}
+ */
+export function parseFilterSpec(spec) {
+  const ops = [];
+  for (const part of String(spec || '').split(',').map((s) => s.trim()).filter(Boolean)) {
+    const [name, raw] = part.split(':');
+    const def = FILTERS[name];
+    if (!def) throw new Error(`unknown filter: ${name}`);
+    if (raw != null && (!def.param || !def.param.values.includes(Number(raw)))) {
+      throw new Error(`invalid parameter for ${name}: ${raw}`);
+    }
+    ops.push(raw != null ? { name, param: Number(raw) } : { name });
+  }
+  return normalizeFilters(ops);
+}
+
+/**
+ * @param {FilterOp[]} ops
+ * @returns {string} フィルタなしなら ''
+ */
+export function filterSpec(ops) {
+  return normalizeFilters(ops)
+    .map((op) => (op.param != null ? `${op.name}:${op.param}` : op.name))
+    .join(',');
+}
+
+/**
+ * フィルタを順に適用する（data を書き換える）。
+ * @param {RgbaImage} image
+ * @param {FilterOp[]} ops  normalizeFilters 済みであること
+ * @param {{ gray?: boolean }} [opt]  gray: ぼかしの後にグレースケール化する
+ */
+export function applyFilters(image, ops, opt = {}) {
+  let grayDone = !opt.gray;
+  for (const op of ops) {
+    if (!grayDone && (op.name === 'posterize' || op.name === 'edge')) {
+      toGrayscale(image.data);
+      grayDone = true;
+    }
+    if (op.name === 'mirror') mirror(image);
+    else if (op.name === 'blur') blur(image, Math.max(1, Math.round(Math.max(image.width, image.height) * op.param / 100)));
+    else if (op.name === 'posterize') posterize(image, op.param);
+    else if (op.name === 'edge') edges(image);
+  }
+  if (!grayDone) toGrayscale(image.data);
+  return image;
+}
+
+/**
+ * RGBA の画素を、輝度 = 0.299 * R + 0.587 * G + 0.114 * B で同値の RGB にする（alpha は保持）。
+ * @param {Uint8ClampedArray} d
+ */
+export function toGrayscale(d) {
+  for (let i = 0; i < d.length; i += 4) {
+    const y = 0.299 * d[i] + 0.587 * d[i + 1] + 0.114 * d[i + 2];
+    d[i] = y;
+    d[i + 1] = y;
+    d[i + 2] = y;
+  }
+}
+
+/** @param {RgbaImage} image */
+function mirror({ data: d, width: w, height: h }) {
+  for (let y = 0; y < h; y++) {
+    const row = y * w * 4;
+    for (let l = 0, r = w - 1; l < r; l++, r--) {
+      const a = row + l * 4;
+      const b = row + r * 4;
+      for (let c = 0; c < 4; c++) {
+        const t = d[a + c];
+        d[a + c] = d[b + c];
+        d[b + c] = t;
+      }
+    }
+  }
+}
+
+/**
+ * 目を細めたときのような強いぼかし（箱型ぼかし 3 回でガウスぼかしに近づける）。
+ * @param {RgbaImage} image
+ * @param {number} radius
+ */
+function blur({ data, width: w, height: h }, radius) {
+  const tmp = new Uint8ClampedArray(data.length);
+  for (let pass = 0; pass < 3; pass++) {
+    boxPass(data, tmp, w, h, radius, true);
+    boxPass(tmp, data, w, h, radius, false);
+  }
+}
+
+/** 1 方向の箱型ぼかし（端は端の画素を延長。alpha はそのまま） */
+function boxPass(src, dst, w, h, r, horizontal) {
+  const len = horizontal ? w : h;
+  const lines = horizontal ? h : w;
+  const step = horizontal ? 4 : w * 4; // 並び方向の隣の画素
+  const lineStep = horizontal ? w * 4 : 4; // 次の行（列）
+  const size = 2 * r + 1;
+  const at = (i) => (i < 0 ? 0 : i >= len ? len - 1 : i) * step;
+
+  for (let line = 0; line < lines; line++) {
+    const base = line * lineStep;
+    for (let c = 0; c < 3; c++) {
+      let sum = 0;
+      for (let k = -r; k <= r; k++) sum += src[base + at(k) + c];
+      for (let i = 0; i < len; i++) {
+        dst[base + i * step + c] = sum / size;
+        sum += src[base + at(i + r + 1) + c] - src[base + at(i - r) + c];
+      }
+    }
+    for (let i = 0; i < len; i++) dst[base + i * step + 3] = src[base + i * step + 3];
+  }
+}
+
+/**
+ * ノタン: 輝度を levels 段階（2 なら白黒）にまとめる。
+ * @param {RgbaImage} image
+ * @param {number} levels
+ */
+function posterize({ data: d }, levels) {
+  for (let i = 0; i < d.length; i += 4) {
+    const y = 0.299 * d[i] + 0.587 * d[i + 1] + 0.114 * d[i + 2];
+    const k = Math.min(levels - 1, Math.floor((y * levels) / 256));
+    const v = Math.round((k * 255) / (levels - 1));
+    d[i] = v;
+    d[i + 1] = v;
+    d[i + 2] = v;
+  }
+}
+
+/**
+ * 輪郭: 輝度の勾配（Sobel）の強いところを、白地に黒い線で描く。
+ * @param {RgbaImage} image
+ */
+function edges({ data: d, width: w, height: h }) {
+  const lum = new Float32Array(w * h);
+  for (let p = 0, i = 0; p < lum.length; p++, i += 4) {
+    lum[p] = 0.299 * d[i] + 0.587 * d[i + 1] + 0.114 * d[i + 2];
+  }
+  const px = (x, y) => lum[(y < 0 ? 0 : y >= h ? h - 1 : y) * w + (x < 0 ? 0 : x >= w ? w - 1 : x)];
+
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const gx = px(x + 1, y - 1) + 2 * px(x + 1, y) + px(x + 1, y + 1)
+        - px(x - 1, y - 1) - 2 * px(x - 1, y) - px(x - 1, y + 1);
+      const gy = px(x - 1, y + 1) + 2 * px(x, y + 1) + px(x + 1, y + 1)
+        - px(x - 1, y - 1) - 2 * px(x, y - 1) - px(x + 1, y - 1);
+      const v = 255 - Math.min(255, Math.sqrt(gx * gx + gy * gy));
+      const i = (y * w + x) * 4;
+      d[i] = v;
+      d[i + 1] = v;
+      d[i + 2] = v;
+    }
+  }
+}
@@ -0,0 +1,177 @@
+// Grayscale conversion: ブラウザ側のグレースケール変換・スタディフィルタ（サーバの変換が使えないときの代替）
+//
+// 画素の処理（デコード・getImageData・輝度計算やフィルタ（filters.js）・PNG 化）は Web Worker（grayscaleWorker.js）で
+// createImageBitmap と OffscreenCanvas を使って行い、メインスレッドのカウントダウンや操作を止めない。
+// Worker / OffscreenCanvas が使えないブラウザでは、同じ処理をメインスレッドで行う。
+//
+// Worker とのやり取り（id で対応付け）:
+//   → { type: 'convert', id, group, seq, blob, maxDim, gray, ops }   ← { type: 'done', id, blob } / { type: 'error', id, message }
+//   → { type: 'stale', group, seq }   group の seq より古い変換は、待ち中なら捨て、処理中なら途中でやめる
+//   → { type: 'cancel', id }          1 件だけ中止（AbortSignal）
+// group はビューア（'viewer'）・履歴サムネイル（'thumb'）など描画ごとの連番の系列。
+
+import { applyFilters } from './filters.js';
+
+/** 安全弁: 極端に巨大な画像でメモリが吹き飛ぶのを防ぐ */
+export const GRAY_SAFETY_CAP = 4096;
+
+/**
+ * 長辺が maxDim（0 なら安全弁の上限）に収まる大きさ。
+ * @param {number} sw
+ * @param {number} sh
+ * @param {number} maxDim
+ */
+export function fitSize(sw, sh, maxDim) {
+  const limit = maxDim > 0 ? Math.min(maxDim, GRAY_SAFETY_CAP) : GRAY_SAFETY_CAP;
+  const m = Math.max(sw, sh);
+  if (m <= limit) return { width: sw, height: sh };
+  const s = limit / m;
+  return { width: Math.max(1, Math.round(sw * s)), height: Math.max(1, Math.round(sh * s)) };
+}
+
+/**
+ * @typedef {{
+ *   group?: string, seq?: number, maxDim?: number, signal?: AbortSignal,
+ *   gray?: boolean, ops?: import('./filters.js').FilterOp[]
+ * }} ConvertOptions
+ *   gray: グレースケール化（省略時 true） / ops: 重ねるスタディフィルタ
+ */
+
+export function createGrayscaleConverter() {
+  /** @type {Map<number, { group: string, seq: number, resolve: (b: Blob) => void, reject: (e: any) => void }>} */
+  const jobs = new Map();
+  /** @type {Map<string, number>} group ごとの最新の seq */
+  const latest = new Map();
+  let nextId = 1;
+  let worker = startWorker();
+
+  function startWorker() {
+    if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined' || typeof createImageBitmap === 'undefined') {
+      return null;
+    }
+    try {
+      const w = new Worker(new URL('./grayscaleWorker.js', import.meta.url), { type: 'module' });
+      w.addEventListener('message', onMessage);
+      // module Worker を読み込めない（古いブラウザなど）場合は、以降メインスレッドで変換する
+      w.addEventListener('error', (e) => {
+        console.warn('Grayscale worker failed; converting on the main thread:', e.message || e);
+        e.preventDefault?.();
+        w.terminate();
+        worker = null;
+        for (const [id, job] of jobs) {
+          jobs.delete(id);
+          job.reject(new Error('grayscale worker failed'));
+        }
+      });
+      return w;
+    } catch (e) {
+      console.warn('Grayscale worker unavailable:', e);
+      return null;
+    }
+  }
+
+  function onMessage({ data }) {
+    const job = jobs.get(data?.id);
+    if (!job) return; // 中止済み
+    jobs.delete(data.id);
+    if (data.type === 'done') job.resolve(data.blob);
+    else job.reject(new Error(data.message || 'grayscale conversion failed'));
+  }
+
+  function isStale(group, seq) {
+    return seq < (latest.get(group) ?? -Infinity);
+  }
+
+  return {
+    /**
+     * 画像の Blob をグレースケール化（・フィルタを適用）した PNG の Blob を返す。
+     * 古い seq になった・signal で中断された場合は AbortError で reject する。
+     * @param {Blob} blob
+     * @param {ConvertOptions} [opt]
+     * @returns {Promise<Blob>}
+     */
+    convert(blob, { group = '', seq = 0, maxDim = 0, signal, gray = true, ops = [] } = {}) {
+      if (signal?.aborted) return Promise.reject(signal.reason);
+      if (isStale(group, seq)) return Promise.reject(abortError());
+
+      if (!worker) {
+        return convertOnMainThread(blob, maxDim, gray, ops).then((out) => {
+          signal?.throwIfAborted();
+          if (isStale(group, seq)) throw abortError();
+          return out;
+        });
+      }
+
+      const id = nextId++;
+      return new Promise((resolve, reject) => {
+        jobs.set(id, { group, seq, resolve, reject });
+        signal?.addEventListener('abort', () => {
+          if (!jobs.delete(id)) return;
+          worker?.postMessage({ type: 'cancel', id });
+          reject(signal.reason);
+        }, { once: true });
+        worker.postMessage({ type: 'convert', id, group, seq, blob, maxDim, gray, ops });
+      });
+    },
+
+    /**
+     * group の描画が seq に進んだので、それより古い変換をやめる。
+     * @param {string} group
+     * @param {number} seq
+     */
+    cancelStale(group, seq) {
+      latest.set(group, seq);
+      for (const [id, job] of jobs) {
+        if (job.group !== group || job.seq >= seq) continue;
+        jobs.delete(id);
+        job.reject(abortError());
+      }
+      worker?.postMessage({ type: 'stale', group, seq });
+    }
+  };
+}
+
+async function convertOnMainThread(blob, maxDim, gray, ops) {
+  const source = await decodeBlob(blob);
+  try {
+    const sw = source.naturalWidth || source.width;
+    const sh = source.naturalHeight || source.height;
+    if (!sw || !sh) throw new Error('画像サイズが取得できません');
+    const { width, height } = fitSize(sw, sh, maxDim);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    if (!ctx) throw new Error('Canvas が利用できません');
+
+    ctx.drawImage(source, 0, 0, width, height);
+    const imageData = ctx.getImageData(0, 0, width, height);
+    applyFilters(imageData, ops, { gray });
+    ctx.putImageData(imageData, 0, 0);
+
+    const out = await new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+    if (!out) throw new Error('toBlob に失敗しました');
+    return out;
+  } finally {
+    source.close?.();
+  }
+}
+
+/** @returns {Promise<ImageBitmap | HTMLImageElement>} */
+async function decodeBlob(blob) {
+  if (typeof createImageBitmap !== 'undefined') return createImageBitmap(blob);
+  const url = URL.createObjectURL(blob);
+  try {
+    const img = new Image();
+    img.src = url;
+    await img.decode();
+    return img;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+function abortError() {
+  return new DOMException('stale grayscale job', 'AbortError');
+}
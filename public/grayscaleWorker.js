@@ -0,0 +1,70 @@
+// Grayscale worker: grayscale.js から受け取った画像を 1 件ずつグレースケール化（・フィルタを適用）して返す
+//
+// 待ち中の変換は、stale（group の seq が進んだ）・cancel を受け取った時点で捨てる。
+// 処理中の変換も、デコード後・画素の処理後の区切りで確認してやめる。
+
+import { fitSize } from './grayscale.js';
+import { applyFilters } from './filters.js';
+
+/** @type {Array<{ id: number, group: string, seq: number, blob: Blob, maxDim: number, gray: boolean, ops: import('./filters.js').FilterOp[] }>} */
+let queue = [];
+/** @type {Map<string, number>} */
+const latest = new Map();
+const cancelled = new Set();
+let running = false;
+
+function isDropped(job) {
+  return cancelled.has(job.id) || job.seq < (latest.get(job.group) ?? -Infinity);
+}
+
+self.addEventListener('message', ({ data }) => {
+  if (data?.type === 'convert') {
+    queue.push(data);
+    pump();
+  } else if (data?.type === 'stale') {
+    latest.set(data.group, data.seq);
+    queue = queue.filter((job) => !isDropped(job));
+  } else if (data?.type === 'cancel') {
+    cancelled.add(data.id);
+    queue = queue.filter((job) => job.id !== data.id);
+  }
+});
+
+async function pump() {
+  if (running) return;
+  running = true;
+  while (queue.length) {
+    const job = queue.shift();
+    try {
+      const blob = await convert(job);
+      if (blob) self.postMessage({ type: 'done', id: job.id, blob });
+    } catch (e) {
+      self.postMessage({ type: 'error', id: job.id, message: e?.message || String(e) });
+    }
+    cancelled.delete(job.id);
+  }
+  running = false;
+}
+
+/** @returns {Promise<Blob|null>} 途中でやめた場合は null（メイン側はもう待っていない） */
+async function convert(job) {
+  const bitmap = await createImageBitmap(job.blob);
+  try {
+    if (isDropped(job)) return null;
+    const { width, height } = fitSize(bitmap.width, bitmap.height, job.maxDim);
+
+    const canvas = new OffscreenCanvas(width, height);
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    if (!ctx) throw new Error('OffscreenCanvas が利用できません');
+
+    ctx.drawImage(bitmap, 0, 0, width, height);
+    const imageData = ctx.getImageData(0, 0, width, height);
+    applyFilters(imageData, job.ops || [], { gray: job.gray !== false });
+    if (isDropped(job)) return null;
+    ctx.putImageData(imageData, 0, 0);
+
+    return await canvas.convertToBlob({ type: 'image/png' });
+  } finally {
+    bitmap.close();
+  }
+}
@@ -0,0 +1,91 @@
+// Viewing history persisted in localStorage("pinterval:history")
+//
+// 1 ピン 1 レコード。同じピンを再表示した場合は先頭（最新）へ移動し、
+// 表示回数と閲覧時間を積み上げる。
+
+/**
+ * @typedef {Object} HistoryRecord
+ * @property {string} id          pin id
+ * @property {string} title
+ * @property {string|null} link
+ * @property {string|null} boardId
+ * @property {string} image       元画像 URL
+ * @property {number} shownAt     最後に表示した時刻（epoch ms）
+ * @property {number} views       表示回数
+ * @property {number} viewMs      累計閲覧時間（一時停止中を除く）
+ * @property {number} lastViewMs  直近 1 回の閲覧時間
+ */
+
+export const HISTORY_KEY = 'pinterval:history';
+export const HISTORY_LIMIT = 300;
+
+/** @returns {HistoryRecord[]} 新しい順 */
+export function loadHistory() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(HISTORY_KEY) || '[]');
+    if (!Array.isArray(raw)) return [];
+    return raw
+      .filter((r) => r && typeof r.image === 'string' && r.image)
+      .map((r) => ({
+        id: String(r.id || r.image),
+        title: String(r.title || ''),
+        link: r.link || null,
+        boardId: r.boardId != null ? String(r.boardId) : null,
+        image: r.image,
+        shownAt: Number(r.shownAt) || 0,
+        views: Math.max(1, Number(r.views) || 1),
+        viewMs: Math.max(0, Number(r.viewMs) || 0),
+        lastViewMs: Math.max(0, Number(r.lastViewMs) || 0),
+      }))
+      .slice(0, HISTORY_LIMIT);
+  } catch {
+    return [];
+  }
+}
+
+/** @param {HistoryRecord[]} records */
+export function saveHistory(records) {
+  try {
+    localStorage.setItem(HISTORY_KEY, JSON.stringify(records.slice(0, HISTORY_LIMIT)));
+  } catch (e) {
+    // 容量超過などで保存できなくても表示は続ける
+    console.warn('Failed to save history', e);
+  }
+}
+
+/**
+ * 表示したピンを履歴の先頭に追加（既存なら先頭へ移動して回数を加算）する。
+ * @param {HistoryRecord[]} records  新しい順。破壊的に更新する
+ * @param {{ id:string, title?:string, link?:string|null, board_id?:string|null, image:string }} item
+ * @param {number} [now]
+ * @returns {HistoryRecord} 追加・更新したレコード
+ */
+export function recordShown(records, item, now = Date.now()) {
+  const id = String(item.id || item.image);
+  const i = records.findIndex((r) => r.id === id);
+  const prev = i >= 0 ? records.splice(i, 1)[0] : null;
+
+  /** @type {HistoryRecord} */
+  const rec = {
+    id,
+    title: item.title || prev?.title || '',
+    link: item.link ?? prev?.link ?? null,
+    boardId: item.board_id ?? prev?.boardId ?? null,
+    image: item.image,
+    shownAt: now,
+    views: (prev?.views || 0) + 1,
+    viewMs: prev?.viewMs || 0,
+    lastViewMs: 0,
+  };
+  records.unshift(rec);
+  if (records.length > HISTORY_LIMIT) records.length = HISTORY_LIMIT;
+  return rec;
+}
+
+/** 閲覧時間を「1分23秒」形式に */
+export function formatViewDuration(msVal) {
+  const total = Math.round(Math.max(0, msVal) / 1000);
+  const m = Math.floor(total / 60);
+  const s = total % 60;
+  return m ? `${m}分${s}秒` : `${s}秒`;
+}
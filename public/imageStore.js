@@ -0,0 +1,173 @@
+// Processed-image store: 変換済み画像（ビューア・サムネイルの変換結果）を IndexedDB に保存する
+//
+// キーは変換済み画像の URL（元画像 URL と変換指定を含む）。再読み込み後も同じ資料を
+// ダウンロード・変換し直さずに済むようにする。
+// 合計バイト数が quotaBytes を超えたら、最後に使った日時の古いものから削除する（LRU）。
+// IndexedDB が使えない環境（プライベートブラウズの一部など）では何も保存しない。
+
+const DB_NAME = 'pinterval-images';
+const DB_VERSION = 1;
+const STORE = 'variants';
+// 読むたびに書き込まないよう、使用日時の更新はこの間隔より古いときだけ
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * @typedef {{ key: string, blob: Blob, bytes: number, usedAt: number }} StoredImage
+ */
+
+/**
+ * @param {{ quotaBytes: number }} opt
+ */
+export function createImageStore({ quotaBytes }) {
+  /** @type {Promise<IDBDatabase|null>|null} */
+  let dbPromise = null;
+  /** 保存中の合計（起動後の最初のアクセスで数える） */
+  let totalBytes = 0;
+  let count = 0;
+
+  function open() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve) => {
+      if (typeof indexedDB === 'undefined') return resolve(null);
+      let req;
+      try {
+        req = indexedDB.open(DB_NAME, DB_VERSION);
+      } catch {
+        return resolve(null);
+      }
+      req.onupgradeneeded = () => {
+        const store = req.result.createObjectStore(STORE, { keyPath: 'key' });
+        store.createIndex('usedAt', 'usedAt');
+      };
+      req.onsuccess = async () => {
+        const db = req.result;
+        try {
+          await measure(db);
+        } catch (e) {
+          console.warn('Image store: failed to measure usage', e);
+        }
+        resolve(db);
+      };
+      req.onerror = () => {
+        console.warn('Image store unavailable:', req.error);
+        resolve(null);
+      };
+    });
+    return dbPromise;
+  }
+
+  async function measure(db) {
+    totalBytes = 0;
+    count = 0;
+    await iterate(db.transaction(STORE).objectStore(STORE).openCursor(), (cursor) => {
+      totalBytes += cursor.value.bytes || 0;
+      count++;
+    });
+  }
+
+  /** 合計が quota に収まるまで古いものから消す */
+  async function evict(db) {
+    if (totalBytes <= quotaBytes) return;
+    const tx = db.transaction(STORE, 'readwrite');
+    await iterate(tx.objectStore(STORE).index('usedAt').openCursor(), (cursor) => {
+      if (totalBytes <= quotaBytes) return false;
+      totalBytes -= cursor.value.bytes || 0;
+      count--;
+      cursor.delete();
+    });
+  }
+
+  return {
+    /**
+     * @param {string} key
+     * @returns {Promise<Blob|null>}
+     */
+    async get(key) {
+      const db = await open();
+      if (!db) return null;
+      try {
+        const tx = db.transaction(STORE, 'readwrite');
+        const store = tx.objectStore(STORE);
+        /** @type {StoredImage|undefined} */
+        const rec = await request(store.get(key));
+        if (!rec) return null;
+        const now = Date.now();
+        if (now - rec.usedAt > TOUCH_INTERVAL_MS) store.put({ ...rec, usedAt: now });
+        return rec.blob;
+      } catch (e) {
+        console.warn('Image store read failed:', e);
+        return null;
+      }
+    },
+
+    /**
+     * @param {string} key
+     * @param {Blob} blob
+     */
+    async put(key, blob) {
+      if (!blob || blob.size > quotaBytes) return;
+      const db = await open();
+      if (!db) return;
+      try {
+        const tx = db.transaction(STORE, 'readwrite');
+        const store = tx.objectStore(STORE);
+        const prev = await request(store.get(key));
+        store.put({ key, blob, bytes: blob.size, usedAt: Date.now() });
+        await done(tx);
+        totalBytes += blob.size - (prev?.bytes || 0);
+        if (!prev) count++;
+        await evict(db);
+      } catch (e) {
+        // 容量不足（QuotaExceededError）など。保存できなくても表示には影響しない
+        console.warn('Image store write failed:', e);
+      }
+    },
+
+    /** @returns {Promise<{ bytes: number, count: number, available: boolean }>} */
+    async usage() {
+      const db = await open();
+      return { bytes: totalBytes, count, available: !!db };
+    },
+
+    async clear() {
+      const db = await open();
+      if (!db) return;
+      const tx = db.transaction(STORE, 'readwrite');
+      tx.objectStore(STORE).clear();
+      await done(tx);
+      totalBytes = 0;
+      count = 0;
+    }
+  };
+}
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function done(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * カーソルを最後まで（onEach が false を返したらそこで）進める。
+ * @param {IDBRequest<IDBCursorWithValue|null>} req
+ * @param {(cursor: IDBCursorWithValue) => boolean | void} onEach
+ */
+function iterate(req, onEach) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor || onEach(cursor) === false) return resolve();
+      cursor.continue();
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
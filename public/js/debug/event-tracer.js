@@ -0,0 +1,323 @@
+// Event tracer (開発方針 7: 観測可能性)
+//
+// EventBus の emit / emitSwitch をフックして、発火ごとに
+//   name / txId / 状態 / lockKey / ハンドラ所要時間 / 結果（ok・aborted・error・dropped）
+// をリングバッファに記録する。window.__eventLog__ で参照できる。
+//
+// 有効化: URL に ?debug=events を付けるか、
+//         localStorage.setItem('pinterval:debug:events', '1')
+// 無効化: ?debug=off または localStorage.removeItem('pinterval:debug:events')
+
+export const TRACER_STORAGE_KEY = 'pinterval:debug:events';
+const DEFAULT_CAPACITY = 2000;
+// パネルで既定では隠す高頻度イベント
+const NOISY_EVENTS = new Set(['countdown:tick']);
+
+/**
+ * クエリ / localStorage のトグルを読む。クエリで指定された場合は localStorage にも反映する。
+ * @returns {boolean}
+ */
+export function isEventTracerEnabled() {
+  try {
+    const q = new URLSearchParams(window.location.search).get('debug');
+    if (q === 'events') {
+      localStorage.setItem(TRACER_STORAGE_KEY, '1');
+      return true;
+    }
+    if (q === 'off') {
+      localStorage.removeItem(TRACER_STORAGE_KEY);
+      return false;
+    }
+    return localStorage.getItem(TRACER_STORAGE_KEY) === '1';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * @typedef {Object} TraceEntry
+ * @property {number} seq
+ * @property {string} at          ISO 時刻
+ * @property {string} name
+ * @property {string} txId
+ * @property {string|null} state  発火時のアプリ状態（getState の戻り値）
+ * @property {string|null} lockKey
+ * @property {boolean} lockWait   emitSwitch で先行する同一 lockKey の処理があった（abort して置換）
+ * @property {'pending'|'ok'|'aborted'|'error'|'dropped'} status
+ * @property {string|null} error
+ * @property {number|null} durationMs  全ハンドラの合計所要時間
+ * @property {Array<{ phase:string, priority:number, ms:number, status:'ok'|'error' }>} handlers
+ */
+
+/**
+ * @param {import('../../eventBus.js').EventBus} bus
+ * @param {{ capacity?: number, getState?: () => string|null }} [opt]
+ */
+export function attachEventTracer(bus, opt = {}) {
+  if (bus.__tracer) return bus.__tracer;
+
+  const capacity = Math.max(10, Number(opt.capacity) || DEFAULT_CAPACITY);
+  /** @type {Array<TraceEntry|undefined>} */
+  const ring = new Array(capacity);
+  let head = 0;
+  let size = 0;
+  let seq = 0;
+  const listeners = new Set();
+
+  /** payload（オブジェクト）または name:txId → 実行中のエントリ */
+  const active = new Map();
+
+  const now = () => (globalThis.performance?.now ? performance.now() : Date.now());
+  const newTxId = () => crypto.randomUUID?.() || String(Date.now());
+
+  function push(entry) {
+    ring[head] = entry;
+    head = (head + 1) % capacity;
+    size = Math.min(size + 1, capacity);
+    notify();
+  }
+
+  function notify() {
+    for (const fn of listeners) {
+      try { fn(); } catch {}
+    }
+  }
+
+  /** 古い順に並べた記録 */
+  function entries() {
+    const out = [];
+    const start = (head - size + capacity) % capacity;
+    for (let i = 0; i < size; i++) out.push(ring[(start + i) % capacity]);
+    return out;
+  }
+
+  function createEntry(name, txId, extra = {}) {
+    return {
+      seq: ++seq,
+      at: new Date().toISOString(),
+      name,
+      txId,
+      state: opt.getState ? opt.getState() : null,
+      lockKey: null,
+      lockWait: false,
+      status: 'pending',
+      error: null,
+      durationMs: null,
+      handlers: [],
+      ...extra,
+    };
+  }
+
+  const keyOf = (name, payload, txId) =>
+    (payload && typeof payload === 'object') ? payload : `${name}:${txId}`;
+
+  // ---- handler wrapping（個々のハンドラの phase と所要時間を記録） ----
+  function wrapEntry(name, h) {
+    if (h.__traced) return;
+    const original = h.fn;
+    h.fn = async (payload, ctx) => {
+      const rec = active.get(keyOf(name, payload, ctx?.txId));
+      const t0 = now();
+      try {
+        await original(payload, ctx);
+        rec?.handlers.push({ phase: h.phase, priority: h.priority, ms: round(now() - t0), status: 'ok' });
+      } catch (err) {
+        rec?.handlers.push({ phase: h.phase, priority: h.priority, ms: round(now() - t0), status: 'error' });
+        throw err;
+      }
+    };
+    h.__traced = true;
+  }
+
+  for (const [name, list] of Object.entries(bus.handlers)) {
+    for (const h of list) wrapEntry(name, h);
+  }
+
+  const originalOn = bus.on.bind(bus);
+  bus.on = (name, fn, o) => {
+    originalOn(name, fn, o);
+    const list = bus.handlers[name];
+    wrapEntry(name, list[list.length - 1]);
+  };
+
+  // ---- emit / emitSwitch ----
+  const originalEmit = bus.emit.bind(bus);
+  const originalEmitSwitch = bus.emitSwitch.bind(bus);
+  /** emitSwitch → emit の受け渡し用（同期区間でのみ有効） */
+  let pendingSwitch = null;
+
+  bus.emit = async (name, payload, o = {}) => {
+    const txId = o.txId || newTxId();
+    const entry = createEntry(name, txId);
+    if (pendingSwitch) {
+      entry.lockKey = pendingSwitch.lockKey;
+      entry.lockWait = pendingSwitch.lockWait;
+      pendingSwitch = null;
+    }
+    const key = keyOf(name, payload, txId);
+    active.set(key, entry);
+    push(entry);
+
+    const t0 = now();
+    try {
+      await originalEmit(name, payload, { ...o, txId });
+      entry.status = 'ok';
+    } catch (err) {
+      entry.status = err?.name === 'AbortError' ? 'aborted' : 'error';
+      entry.error = err?.message || String(err);
+      throw err;
+    } finally {
+      entry.durationMs = round(now() - t0);
+      if (active.get(key) === entry) active.delete(key);
+      notify();
+    }
+  };
+
+  bus.emitSwitch = (name, payload, o) => {
+    pendingSwitch = {
+      lockKey: o?.lockKey ?? null,
+      lockWait: !!(o?.lockKey && bus.locks.has(o.lockKey)),
+    };
+    // emitSwitch は同期区間で this.emit を呼ぶので、そこで pendingSwitch が消費される
+    const p = originalEmitSwitch(name, payload, o);
+    pendingSwitch = null;
+    return p;
+  };
+
+  const tracer = {
+    capacity,
+    entries,
+    /**
+     * バス外で捨てられたイベント（状態機械のガードなど）を記録する。
+     * @param {string} name
+     * @param {{ txId?: string, state?: string|null, reason?: string }} [info]
+     */
+    recordDrop(name, info = {}) {
+      const entry = createEntry(name, info.txId || '-', { status: 'dropped', error: info.reason || null });
+      if (info.state !== undefined) entry.state = info.state;
+      push(entry);
+    },
+    clear() {
+      ring.fill(undefined);
+      head = 0;
+      size = 0;
+      notify();
+    },
+    /** バグ報告添付用の JSON */
+    toJSON() {
+      return {
+        app: 'pinterval',
+        exportedAt: new Date().toISOString(),
+        userAgent: navigator.userAgent,
+        url: window.location.href,
+        events: entries(),
+      };
+    },
+    /** @param {() => void} fn */
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+  };
+
+  bus.__tracer = tracer;
+  Object.defineProperty(window, '__eventLog__', {
+    configurable: true,
+    get: () => entries(),
+  });
+  window.__eventTracer__ = tracer;
+  return tracer;
+}
+
+function round(v) {
+  return Math.round(v * 100) / 100;
+}
+
+// ---- overlay panel ----
+
+/**
+ * 直近のイベントを表示する小さなオーバーレイ。JSON の書き出しもここから行う。
+ * @param {ReturnType<typeof attachEventTracer>} tracer
+ * @param {{ rows?: number }} [opt]
+ */
+export function mountEventTracerPanel(tracer, opt = {}) {
+  const rows = Math.max(5, Number(opt.rows) || 30);
+
+  const panel = document.createElement('section');
+  panel.className = 'event-tracer';
+  panel.setAttribute('aria-label', 'イベントトレーサ');
+  panel.innerHTML = `
+    <header class="event-tracer-head">
+      <strong>events</strong>
+      <span class="event-tracer-count"></span>
+      <button type="button" data-act="noisy" title="countdown:tick などの表示切替">tick</button>
+      <button type="button" data-act="dump" title="JSON を保存">JSON</button>
+      <button type="button" data-act="copy" title="JSON をコピー">Copy</button>
+      <button type="button" data-act="clear" title="記録を消去">Clear</button>
+      <button type="button" data-act="fold" title="折りたたむ">–</button>
+    </header>
+    <ol class="event-tracer-list"></ol>
+  `;
+
+  const list = /** @type {HTMLOListElement} */ (panel.querySelector('.event-tracer-list'));
+  const count = /** @type {HTMLElement} */ (panel.querySelector('.event-tracer-count'));
+
+  let scheduled = false;
+  let showNoisy = false;
+  function render() {
+    scheduled = false;
+    const all = tracer.entries();
+    count.textContent = `${all.length}/${tracer.capacity}`;
+    list.innerHTML = '';
+    const visible = showNoisy ? all : all.filter((e) => !NOISY_EVENTS.has(e.name) || e.status !== 'ok');
+    for (const e of visible.slice(-rows).reverse()) {
+      const li = document.createElement('li');
+      li.className = `event-tracer-row is-${e.status}`;
+      const dur = e.durationMs == null ? '…' : `${e.durationMs}ms`;
+      const lock = e.lockKey ? ` 🔒${e.lockKey}${e.lockWait ? '(switch)' : ''}` : '';
+      li.textContent = `#${e.seq} ${e.name} [${e.state ?? '-'}] ${e.status} ${dur}${lock} tx:${String(e.txId).slice(0, 8)}`;
+      li.title = JSON.stringify(e, null, 2);
+      list.appendChild(li);
+    }
+  }
+
+  function schedule() {
+    if (scheduled) return;
+    scheduled = true;
+    // countdown:tick が高頻度なので描画はフレーム単位にまとめる
+    requestAnimationFrame(render);
+  }
+
+  function dumpJson() {
+    const json = JSON.stringify(tracer.toJSON(), null, 2);
+    const blob = new Blob([json], { type: 'application/json' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = `pinterval-events-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+  }
+
+  panel.addEventListener('click', async (e) => {
+    const act = /** @type {HTMLElement} */ (e.target).closest?.('button')?.dataset.act;
+    if (act === 'dump') dumpJson();
+    if (act === 'copy') {
+      try {
+        await navigator.clipboard.writeText(JSON.stringify(tracer.toJSON(), null, 2));
+      } catch (err) {
+        console.warn('Clipboard write failed', err);
+      }
+    }
+    if (act === 'clear') tracer.clear();
+    if (act === 'noisy') {
+      showNoisy = !showNoisy;
+      schedule();
+    }
+    if (act === 'fold') panel.classList.toggle('is-folded');
+  });
+
+  tracer.subscribe(schedule);
+  document.body.appendChild(panel);
+  render();
+  return panel;
+}
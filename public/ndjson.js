@@ -0,0 +1,31 @@
+// NDJSON（1 行 1 JSON）のレスポンスを、届いた行から順に読む
+//
+// サーバの /api/me/pins?stream=1・/api/pins?stream=1 用。
+// 行の途中でチャンクが切れても、改行が届くまで持ち越してから解釈する。
+
+/**
+ * @param {Response} res
+ * @param {(message: any) => void | Promise<void>} onMessage  1 行ごとに呼ぶ（await してから次の行へ）
+ * @returns {Promise<void>} 最後まで読み終えたら解決
+ */
+export async function readNdjson(res, onMessage) {
+  if (!res.body) throw new Error('response has no body');
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buf = '';
+
+  try {
+    for (;;) {
+      const { value, done } = await reader.read();
+      buf += done ? decoder.decode() : decoder.decode(value, { stream: true });
+      const lines = buf.split('\n');
+      buf = done ? '' : lines.pop() || '';
+      for (const line of lines) {
+        if (line.trim()) await onMessage(JSON.parse(line));
+      }
+      if (done) return;
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
@@ -0,0 +1,121 @@
+// Pin filters: 向き・最小サイズ・縦横比・キーワードで再生する一覧を絞り込む
+//
+// 寸法はサーバで選んだ画像バリアントの width / height。寸法の分からないピン
+// （検索結果の一部など）は判定できないため、向き・サイズ・縦横比の条件では除外しない。
+
+/**
+ * @typedef {Object} PinFilter
+ * @property {'any'|'portrait'|'landscape'|'square'} orientation
+ * @property {number} minSize   短辺の最小ピクセル数（0 で制限なし）
+ * @property {number} maxRatio  長辺 / 短辺 の上限（0 で制限なし。細長いバナーを除く）
+ * @property {string} include   いずれかを含む（空白・カンマ区切り）
+ * @property {string} exclude   いずれかを含むものを除く
+ */
+
+export const FILTER_KEY = 'pinterval_pin_filter';
+
+/** 正方形とみなす縦横比の幅（長辺 / 短辺 がこれ以下） */
+const SQUARE_TOLERANCE = 1.1;
+
+/** @type {PinFilter} */
+export const DEFAULT_FILTER = Object.freeze({
+  orientation: 'any',
+  minSize: 0,
+  maxRatio: 0,
+  include: '',
+  exclude: '',
+});
+
+/** @param {any} raw @returns {PinFilter} */
+export function normalizeFilter(raw) {
+  const f = raw && typeof raw === 'object' ? raw : {};
+  return {
+    orientation: ['portrait', 'landscape', 'square'].includes(f.orientation) ? f.orientation : 'any',
+    minSize: Math.max(0, Number(f.minSize) || 0),
+    maxRatio: Math.max(0, Number(f.maxRatio) || 0),
+    include: String(f.include || '').trim(),
+    exclude: String(f.exclude || '').trim(),
+  };
+}
+
+/** @returns {PinFilter} */
+export function loadFilter() {
+  try {
+    return normalizeFilter(JSON.parse(localStorage.getItem(FILTER_KEY) || 'null'));
+  } catch {
+    return { ...DEFAULT_FILTER };
+  }
+}
+
+/** @param {PinFilter} filter */
+export function saveFilter(filter) {
+  localStorage.setItem(FILTER_KEY, JSON.stringify(normalizeFilter(filter)));
+}
+
+/** @param {PinFilter} filter */
+export function isFilterActive(filter) {
+  const f = normalizeFilter(filter);
+  return f.orientation !== 'any' || f.minSize > 0 || f.maxRatio > 0 || !!f.include || !!f.exclude;
+}
+
+/** @param {PinFilter} filter 比較用のキー（同じ条件なら同じ文字列） */
+export function filterKey(filter) {
+  return JSON.stringify(normalizeFilter(filter));
+}
+
+/**
+ * @param {{ width?: number|null, height?: number|null }} item
+ * @returns {'portrait'|'landscape'|'square'|null} 寸法が無ければ null
+ */
+export function orientationOf(item) {
+  const w = Number(item?.width);
+  const h = Number(item?.height);
+  if (!(w > 0 && h > 0)) return null;
+  if (Math.max(w, h) / Math.min(w, h) <= SQUARE_TOLERANCE) return 'square';
+  return h > w ? 'portrait' : 'landscape';
+}
+
+/** "手 足, pose" → ['手', '足', 'pose'] */
+export function parseKeywords(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[\s,、，]+/)
+    .filter(Boolean);
+}
+
+/**
+ * @param {PinFilter} filter
+ * @returns {(item: { title?: string, description?: string, width?: number|null, height?: number|null }) => boolean}
+ */
+export function createPinFilter(filter) {
+  const f = normalizeFilter(filter);
+  const include = parseKeywords(f.include);
+  const exclude = parseKeywords(f.exclude);
+
+  return (item) => {
+    const w = Number(item?.width);
+    const h = Number(item?.height);
+    if (w > 0 && h > 0) {
+      if (f.orientation !== 'any' && orientationOf(item) !== f.orientation) return false;
+      if (f.minSize && Math.min(w, h) < f.minSize) return false;
+      if (f.maxRatio && Math.max(w, h) / Math.min(w, h) > f.maxRatio) return false;
+    }
+    if (include.length || exclude.length) {
+      const text = `${item?.title || ''} ${item?.description || ''}`.toLowerCase();
+      if (include.length && !include.some((k) => text.includes(k))) return false;
+      if (exclude.some((k) => text.includes(k))) return false;
+    }
+    return true;
+  };
+}
+
+/**
+ * @template T
+ * @param {T[]} items
+ * @param {PinFilter} filter
+ * @returns {T[]}
+ */
+export function applyFilter(items, filter) {
+  if (!isFilterActive(filter)) return items.slice();
+  return items.filter(createPinFilter(filter));
+}
@@ -0,0 +1,33 @@
+// Pin order: ピンを保存日時（created_at）で並べる
+//
+// ブラウザ（「新しい順 / 古い順」の再生）とサーバ（server/aggregate.js の集約、server/normalize.js の正規化）で共用し、
+// 「すべてのピン」・単独のボードのどちらでも同じ並びにする。
+
+// created_at（ISO 8601、タイムゾーン無しは UTC とみなす）→ epoch ms。解釈できなければ null
+export function parseCreatedAt(value) {
+  if (!value) return null;
+  const s = String(value);
+  const t = Date.parse(/(?:[zZ]|[+-]\d\d:?\d\d)$/.test(s) ? s : `${s}Z`);
+  return Number.isFinite(t) ? t : null;
+}
+
+/**
+ * 保存日時（created_at）で並べる。日時の無いピンは元の順のまま末尾へ。
+ * @template {{ created_at?: string|null }} T
+ * @param {T[]} pins
+ * @param {'newest'|'oldest'|string} [order]
+ * @returns {T[]}
+ */
+export function sortPinsByCreatedAt(pins, order = 'newest') {
+  const dir = order === 'oldest' ? 1 : -1;
+  return pins
+    .map((p, i) => ({ p, i, t: parseCreatedAt(p.created_at) }))
+    .sort((a, b) => {
+      if (a.t == null || b.t == null) {
+        if (a.t == null && b.t == null) return a.i - b.i;
+        return a.t == null ? 1 : -1;
+      }
+      return (a.t - b.t) * dir || a.i - b.i;
+    })
+    .map(({ p }) => p);
+}
@@ -0,0 +1,104 @@
+// Play statechart (based on 開発方針 4: 状態 → 許可イベント → 遷移先)
+//
+//   standby ──play:start──▶ loading ──play:loaded──▶ gap ⇄ show
+//      ▲                      │                      │      │
+//      └─ play:stop / play:error / play:complete ◀───┴──────┘
+//                                   play:pause ▼  ▲ play:resume
+//                                            paused
+//
+// 表に無い組み合わせのイベントは捨てる（ハンドラ内で状態分岐しない）。
+
+/** paused から元のフェーズ（gap / show）へ戻る遷移先 */
+export const RESUME = '@resume';
+
+/** @type {Record<string, Record<string, string>>} */
+export const PLAY_TRANSITIONS = {
+  standby: {
+    'play:start': 'loading',
+    'play:next': 'standby', // スタンバイ中の手動送り（プレビュー）
+    'play:prev': 'standby',
+  },
+  loading: {
+    'play:loaded': 'gap',
+    'play:error': 'standby',
+    'play:stop': 'standby',
+  },
+  gap: {
+    'countdown:tick': 'gap',
+    'countdown:done': 'show',
+    'play:next': 'show',
+    'play:pause': 'paused',
+    'play:stop': 'standby',
+    'play:complete': 'standby', // セッションプランの最終段階が終わった
+  },
+  show: {
+    'countdown:tick': 'show',
+    'countdown:done': 'gap',
+    'play:next': 'show',
+    'play:prev': 'show',
+    'play:pause': 'paused',
+    'play:stop': 'standby',
+    'play:complete': 'standby',
+  },
+  paused: {
+    'play:resume': RESUME,
+    'play:next': 'paused',
+    'play:prev': 'paused',
+    'play:stop': 'standby',
+    'play:complete': 'standby',
+  },
+};
+
+/**
+ * 状態機械を作る。dispatch は遷移を同期的に確定させてから bus へ発火するため、
+ * 連打などで同じイベントが続いても 2 回目は表に従って捨てられる。
+ *
+ * @param {import('./eventBus.js').EventBus} bus
+ * @param {{ initial?: string, onDrop?: (name:string, state:string)=>void }} [opt]
+ */
+export function createPlayMachine(bus, opt = {}) {
+  const machine = {
+    state: opt.initial ?? 'standby',
+    /** paused から戻る先（'gap' | 'show'） */
+    resumeTo: /** @type {string|null} */ (null),
+
+    /** @param {string} name */
+    can(name) {
+      return !!PLAY_TRANSITIONS[machine.state]?.[name];
+    },
+
+    /**
+     * @param {string} name
+     * @param {Record<string, any>} [payload]
+     * @param {{ txId?: string, lockKey?: string }} [emitOpt]
+     * @returns {Promise<boolean>} 受理されて最後まで処理されたら true
+     */
+    async dispatch(name, payload = {}, emitOpt = {}) {
+      const from = machine.state;
+      let to = PLAY_TRANSITIONS[from]?.[name];
+      if (!to) {
+        opt.onDrop?.(name, from);
+        return false;
+      }
+      if (to === RESUME) to = machine.resumeTo || 'show';
+      if (to === 'paused' && from !== 'paused') machine.resumeTo = from;
+      if (from === 'paused' && to !== 'paused') machine.resumeTo = null;
+      machine.state = to;
+
+      const full = { ...payload, from, to };
+      try {
+        if (emitOpt.lockKey) {
+          await bus.emitSwitch(name, full, { lockKey: emitOpt.lockKey, txId: emitOpt.txId });
+        } else {
+          await bus.emit(name, full, { txId: emitOpt.txId });
+        }
+        return true;
+      } catch (err) {
+        // 新しい操作に置き換えられた（emitSwitch で abort された）だけなら正常終了扱い
+        if (err?.name === 'AbortError') return false;
+        throw err;
+      }
+    },
+  };
+  return machine;
+}
@@ -0,0 +1,128 @@
+// 先読みキュー（次に表示する画像を、表示中・インターバル中に取得してデコードしておく）
+//
+// 取得した画像は Blob の objectURL で保持し、ビューアは同じキー（変換済み画像の URL）で take() して
+// そのまま表示する。take() した objectURL はキューの管理から外れ（解放は受け取った側の責任）、表示中に
+// revoke されることはない。保持する合計バイト数が budgetBytes を超えたら、今回の一覧に無いものから解放する。
+// prefetch() を呼び直すと、新しい一覧に無い取得中のものは中断する（スキップ・並び替え）。
+// cancel() は取得中のものをすべて中断する（停止）。保持済みの画像は残す。
+
+/**
+ * @typedef {{ key: string, load: (signal: AbortSignal) => Promise<Blob> }} PrefetchJob
+ *   key: ビューアが読む URL / load: 画像の Blob を返す（signal で中断できること）
+ */
+
+/**
+ * @param {{ budgetBytes: number, concurrency?: number }} opt
+ */
+export function createPrefetchQueue({ budgetBytes, concurrency = 2 }) {
+  /** @type {Map<string, { objectUrl: string, bytes: number }>} 挿入順 = 使用順（古い順） */
+  const ready = new Map();
+  /** @type {Map<string, AbortController>} */
+  const inflight = new Map();
+  /** @type {PrefetchJob[]} */
+  let queue = [];
+  /** 今回の prefetch() で必要な key（予算を空けるときに解放しない） */
+  let wanted = new Set();
+  let totalBytes = 0;
+
+  function release(key) {
+    const entry = ready.get(key);
+    if (!entry) return;
+    ready.delete(key);
+    totalBytes -= entry.bytes;
+    URL.revokeObjectURL(entry.objectUrl);
+  }
+
+  /** bytes を足しても予算に収まるよう、必要でないものから解放する。収まらなければ false */
+  function makeRoom(bytes) {
+    for (const key of [...ready.keys()]) {
+      if (totalBytes + bytes <= budgetBytes) break;
+      if (!wanted.has(key)) release(key);
+    }
+    return totalBytes + bytes <= budgetBytes;
+  }
+
+  function pump() {
+    while (inflight.size < concurrency && queue.length) {
+      const job = queue.shift();
+      if (ready.has(job.key) || inflight.has(job.key)) continue;
+      run(job);
+    }
+  }
+
+  /** @param {PrefetchJob} job */
+  async function run(job) {
+    const controller = new AbortController();
+    inflight.set(job.key, controller);
+    try {
+      const blob = await job.load(controller.signal);
+      controller.signal.throwIfAborted();
+      if (!makeRoom(blob.size)) {
+        // 予算いっぱい: 残りは表示時に読む
+        queue = [];
+        return;
+      }
+      const objectUrl = URL.createObjectURL(blob);
+      ready.set(job.key, { objectUrl, bytes: blob.size });
+      totalBytes += blob.size;
+      await decode(objectUrl);
+    } catch {
+      // 中断・取得失敗は無視（表示時に通常どおり読み込む）
+    } finally {
+      if (inflight.get(job.key) === controller) inflight.delete(job.key);
+      pump();
+    }
+  }
+
+  return {
+    /**
+     * 先読み済みの objectURL を受け取る（無ければ null）。以後キューはこの objectURL を解放しないので、
+     * 受け取った側が不要になったときに URL.revokeObjectURL する。
+     * @param {string} key
+     */
+    take(key) {
+      const entry = ready.get(key);
+      if (!entry) return null;
+      ready.delete(key);
+      totalBytes -= entry.bytes;
+      return entry.objectUrl;
+    },
+
+    /**
+     * jobs を並び順に先読みする。前回の一覧に無い取得中のものは中断する。
+     * @param {PrefetchJob[]} jobs
+     */
+    prefetch(jobs) {
+      wanted = new Set(jobs.map((j) => j.key));
+      for (const [key, controller] of inflight) {
+        if (!wanted.has(key)) controller.abort();
+      }
+      queue = jobs.filter((j) => !ready.has(j.key) && !inflight.has(j.key));
+      pump();
+    },
+
+    /** 取得中・待ち中のものをすべて中断する */
+    cancel() {
+      queue = [];
+      wanted = new Set();
+      for (const controller of inflight.values()) controller.abort();
+    },
+
+    /** 保持している画像もすべて解放する */
+    clear() {
+      this.cancel();
+      for (const key of [...ready.keys()]) release(key);
+    },
+
+    get bytes() {
+      return totalBytes;
+    }
+  };
+}
+
+/** 表示時にデコード待ちにならないよう、先にデコードしておく */
+async function decode(objectUrl) {
+  const img = new Image();
+  img.src = objectUrl;
+  await img.decode?.();
+}
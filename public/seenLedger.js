@@ -0,0 +1,183 @@
+// Seen ledger: ランダム表示で「一度出したピンは出さない」をセッションをまたいで守るための記録
+//
+// localStorage("pinterval:seen") に ボード → { pinId: 最後に表示した時刻 } を保存する。
+// ランダム順は 未表示のピン → 表示済みのピン（最後に表示してから長いものほど先に出やすい）の順。
+// シードを指定すると、同じシード・同じ既出状態からは同じ順序になる。
+
+/** @typedef {Record<string, Record<string, number>>} SeenLedger  boardKey → pinId → shownAt(epoch ms) */
+
+export const SEEN_KEY = 'pinterval:seen';
+/** ボード指定なし（すべてのピン）で、ピンの所属ボードが分からないときのキー */
+export const SEEN_ALL = 'all';
+
+const MAX_PER_BOARD = 5000;
+// 直前に表示したピンにも少しは出番を残すための下駄（重み = 経過時間 + これ）
+const MIN_WEIGHT_MS = 60 * 60 * 1000;
+
+/** @returns {SeenLedger} */
+export function loadSeenLedger() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(SEEN_KEY) || '{}');
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return {};
+    /** @type {SeenLedger} */
+    const out = {};
+    for (const [board, pins] of Object.entries(raw)) {
+      if (!pins || typeof pins !== 'object') continue;
+      const clean = {};
+      for (const [id, at] of Object.entries(pins)) {
+        const t = Number(at);
+        if (t > 0) clean[id] = t;
+      }
+      out[board] = clean;
+    }
+    return out;
+  } catch {
+    return {};
+  }
+}
+
+/** @param {SeenLedger} ledger */
+export function saveSeenLedger(ledger) {
+  try {
+    localStorage.setItem(SEEN_KEY, JSON.stringify(ledger));
+  } catch (e) {
+    console.warn('Failed to save seen ledger', e);
+  }
+}
+
+/** @param {{ board_id?: string|null }} item */
+export function seenBoardKey(item, fallback = SEEN_ALL) {
+  return item?.board_id ? String(item.board_id) : fallback;
+}
+
+/**
+ * 表示したピンを記録する（破壊的）。ボードごとに古いものから MAX_PER_BOARD 件までに切り詰める。
+ * @param {SeenLedger} ledger
+ * @param {Array<{ id:string, board_id?:string|null }>} items
+ * @param {{ fallback?: string, now?: number }} [opt]
+ */
+export function markSeen(ledger, items, opt = {}) {
+  const now = opt.now ?? Date.now();
+  const touched = new Set();
+  for (const it of items) {
+    if (!it?.id) continue;
+    const key = seenBoardKey(it, opt.fallback);
+    (ledger[key] ||= {})[String(it.id)] = now;
+    touched.add(key);
+  }
+  for (const key of touched) {
+    const ids = Object.keys(ledger[key]);
+    if (ids.length <= MAX_PER_BOARD) continue;
+    ids.sort((a, b) => ledger[key][a] - ledger[key][b]);
+    for (const id of ids.slice(0, ids.length - MAX_PER_BOARD)) delete ledger[key][id];
+  }
+}
+
+/**
+ * @param {SeenLedger} ledger
+ * @param {{ id:string, board_id?:string|null }} item
+ * @param {string} [fallback]
+ * @returns {number|null} 最後に表示した時刻（未表示なら null）
+ */
+export function lastSeenAt(ledger, item, fallback = SEEN_ALL) {
+  const t = ledger[seenBoardKey(item, fallback)]?.[String(item.id)];
+  return t > 0 ? t : null;
+}
+
+/**
+ * @param {SeenLedger} ledger
+ * @param {string|string[]|null} boardKeys  null ならすべてのボード
+ */
+export function countSeen(ledger, boardKeys) {
+  const keys = boardKeys == null ? Object.keys(ledger) : [boardKeys].flat();
+  return keys.reduce((n, k) => n + Object.keys(ledger[k] || {}).length, 0);
+}
+
+/**
+ * 既出記録を消す（破壊的）。
+ * @param {SeenLedger} ledger
+ * @param {string|string[]|null} boardKeys  null ならすべてのボード
+ */
+export function resetSeen(ledger, boardKeys) {
+  const keys = boardKeys == null ? Object.keys(ledger) : [boardKeys].flat();
+  for (const k of keys) delete ledger[k];
+}
+
+/**
+ * シード付き乱数（0 以上 1 未満）。シードが空なら Math.random。
+ * @param {string} [seed]
+ * @returns {() => number}
+ */
+export function createRandom(seed) {
+  const s = String(seed ?? '').trim();
+  if (!s) return Math.random;
+  // cyrb53 風の文字列ハッシュ → mulberry32
+  let h = 1779033703 ^ s.length;
+  for (let i = 0; i < s.length; i++) {
+    h = Math.imul(h ^ s.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  let a = h >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** 新しいシード（画面に出して再現に使える短い文字列） */
+export function newSeed() {
+  return Math.floor(Math.random() * 36 ** 6).toString(36).padStart(6, '0');
+}
+
+/**
+ * @template T
+ * @param {T[]} array
+ * @param {() => number} [random]
+ * @returns {T[]}
+ */
+export function shuffle(array, random = Math.random) {
+  const copy = array.slice();
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+/**
+ * ランダム順: 未表示のピンをシャッフルして先頭に、表示済みのピンは
+ * 「最後に表示してからの経過時間」を重みにした非復元抽出（Efraimidis–Spirakis）で後ろに並べる。
+ * 経過時間は現在時刻ではなく記録中の最新時刻から測るので、同じ既出状態・同じシードなら結果も同じ。
+ *
+ * @template {{ id:string, board_id?:string|null }} T
+ * @param {T[]} items
+ * @param {SeenLedger} ledger
+ * @param {{ random?: () => number, fallback?: string }} [opt]
+ * @returns {{ items: T[], unseen: number }}
+ */
+export function orderBySeen(items, ledger, opt = {}) {
+  const random = opt.random || Math.random;
+  const unseen = [];
+  const seen = [];
+  for (const it of items) {
+    const at = lastSeenAt(ledger, it, opt.fallback);
+    if (at == null) unseen.push(it);
+    else seen.push({ it, at });
+  }
+
+  const latest = seen.reduce((m, s) => Math.max(m, s.at), 0);
+  const keyed = seen.map(({ it, at }) => {
+    const weight = latest - at + MIN_WEIGHT_MS;
+    // u^(1/w) の大きい順 ≡ log(u)/w の大きい順
+    const u = random() || Number.MIN_VALUE;
+    return { it, key: Math.log(u) / weight };
+  });
+  keyed.sort((a, b) => b.key - a.key);
+
+  return {
+    items: [...shuffle(unseen, random), ...keyed.map((k) => k.it)],
+    unseen: unseen.length,
+  };
+}
@@ -0,0 +1,108 @@
+// Session plans: 段階ごとに「表示回数 × 秒数」を並べたタイムテーブル
+// 例: 10×30秒 → 5×60秒 → 2×300秒（クロッキー / ジェスチャードローイング用）
+//
+// 表示回数は「1 回の表示」（同時表示数が 4 なら 4 枚を 1 回）で数える。
+
+/**
+ * @typedef {{ count: number, sec: number }} PlanStage
+ * @typedef {{ id: string, name: string, stages: PlanStage[], builtin?: boolean }} SessionPlan
+ */
+
+export const PLANS_KEY = 'pinterval_session_plans';
+export const PLAN_SELECTED_KEY = 'pinterval_session_plan';
+
+const MAX_STAGES = 20;
+const MAX_COUNT = 999;
+const MAX_SEC = 3600;
+
+/** @type {SessionPlan[]} */
+export const BUILTIN_PLANS = [
+  { id: 'preset:gesture', name: 'ジェスチャー定番', builtin: true, stages: [
+    { count: 10, sec: 30 }, { count: 5, sec: 60 }, { count: 2, sec: 300 },
+  ] },
+  { id: 'preset:quick', name: 'クイック 30秒', builtin: true, stages: [
+    { count: 20, sec: 30 },
+  ] },
+  { id: 'preset:warmup', name: 'ウォームアップ → 長め', builtin: true, stages: [
+    { count: 5, sec: 60 }, { count: 3, sec: 120 }, { count: 1, sec: 600 },
+  ] },
+  { id: 'preset:long', name: 'じっくり', builtin: true, stages: [
+    { count: 4, sec: 300 }, { count: 1, sec: 900 },
+  ] },
+];
+
+/**
+ * "10x30, 5x60, 2x300" 形式（x / × / * 区切り、秒は "5m" "90s" も可）を解析する。
+ * @param {string} text
+ * @returns {PlanStage[]} 解析できない場合は空配列
+ */
+export function parseStages(text) {
+  const parts = String(text || '').split(/[,、→>\n]+/).map((s) => s.trim()).filter(Boolean);
+  /** @type {PlanStage[]} */
+  const out = [];
+  for (const part of parts) {
+    const m = part.match(/^(\d+)\s*[x×*]\s*(\d+)\s*(s|sec|秒|m|min|分)?$/i);
+    if (!m) return [];
+    const count = parseInt(m[1], 10);
+    const unit = (m[3] || 's').toLowerCase();
+    const sec = parseInt(m[2], 10) * (unit === 'm' || unit === 'min' || unit === '分' ? 60 : 1);
+    if (!(count > 0 && count <= MAX_COUNT && sec > 0 && sec <= MAX_SEC)) return [];
+    out.push({ count, sec });
+  }
+  return out.slice(0, MAX_STAGES);
+}
+
+/** @param {PlanStage[]} stages */
+export function formatStages(stages) {
+  return stages.map((s) => `${s.count}x${s.sec}`).join(', ');
+}
+
+/** @param {PlanStage[]} stages */
+export function totalPoses(stages) {
+  return stages.reduce((n, s) => n + s.count, 0);
+}
+
+/**
+ * poseIndex 番目（0 始まり）の表示がどの段階にあたるか
+ * @param {PlanStage[]} stages
+ * @param {number} poseIndex
+ * @returns {{ stageIndex: number, indexInStage: number, stage: PlanStage } | null}
+ */
+export function stageAt(stages, poseIndex) {
+  let rest = poseIndex;
+  for (let i = 0; i < stages.length; i++) {
+    if (rest < stages[i].count) return { stageIndex: i, indexInStage: rest, stage: stages[i] };
+    rest -= stages[i].count;
+  }
+  return null;
+}
+
+/** @returns {SessionPlan[]} 保存済みのユーザープラン */
+export function loadUserPlans() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(PLANS_KEY) || '[]');
+    if (!Array.isArray(raw)) return [];
+    return raw
+      .map((p) => ({
+        id: String(p?.id || ''),
+        name: String(p?.name || ''),
+        stages: parseStages(formatStages(Array.isArray(p?.stages) ? p.stages : [])),
+      }))
+      .filter((p) => p.id && p.name && p.stages.length);
+  } catch {
+    return [];
+  }
+}
+
+/** @param {SessionPlan[]} plans */
+export function saveUserPlans(plans) {
+  const data = plans
+    .filter((p) => !p.builtin)
+    .map(({ id, name, stages }) => ({ id, name, stages }));
+  localStorage.setItem(PLANS_KEY, JSON.stringify(data));
+}
+
+/** @returns {SessionPlan[]} プリセット + ユーザープラン */
+export function listPlans() {
+  return [...BUILTIN_PLANS, ...loadUserPlans()];
+}
@@ -0,0 +1,21 @@
+// Keyboard shortcuts: 再生のショートカット（Space / → / Esc）を使ってよいフォーカス先かの判定
+//
+// 文字を入力する欄（検索ワード・絞り込みの語・セッションプランなど）にフォーカスがあるときは使わない。
+// チェックボックス・ラジオボタン・スライダー・ボタンは再生中にも操作するので、フォーカスが残っていても使う。
+
+/** 文字入力ではない <input> の type（これ以外の <input> は入力欄とみなす） */
+const NON_TEXT_INPUT_TYPES = new Set([
+  'checkbox', 'radio', 'range', 'button', 'submit', 'reset', 'color', 'file', 'image',
+]);
+
+/**
+ * @param {EventTarget|null} target  keydown の e.target
+ * @returns {boolean} 入力欄なら true（ショートカットを使わない）
+ */
+export function isTextEntryTarget(target) {
+  const el = /** @type {any} */ (target);
+  if (!el || typeof el.tagName !== 'string') return false;
+  if (el.isContentEditable) return true;
+  if (el.tagName === 'TEXTAREA' || el.tagName === 'SELECT') return true;
+  return el.tagName === 'INPUT' && !NON_TEXT_INPUT_TYPES.has(String(el.type || 'text').toLowerCase());
+}
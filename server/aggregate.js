@@ -0,0 +1,91 @@
+import { sortPinsByCreatedAt } from '../public/pinOrder.js';
+
+/* ============================================================
+   複数のボード / セクションのピンの集約（/api/me/pins・/api/pins）
+
+   - limit を取得元に均等に割り当て、各取得元の新しい方からその件数ずつ取る
+     （取得元の並びで前にあるものほど端数の 1 件を多く持つ。割り当てが 0 件の取得元は取りに行かない）
+   - ピンが割り当てに足りなかった取得元・重複で減った分は、まだピンが残っていそうな取得元
+     （割り当てどおり返してきたもの）に割り当て直して取り足す（最大 MAX_ROUNDS 回）
+   - 取得元は concurrency 件ずつ並行に取りに行き、届いたものから onPins に渡す
+     （onPins には、それまでに届いたピンと重複しないものだけを渡す）
+   どの取得元が先に応答しても選ばれるピンは同じなので、ストリーム（onPins で届いた順に送る）と
+   通常の応答（最後にまとめて返す）で同じピンになる。
+   一部の取得元が失敗しても残りで続行し、失敗した取得元は failures に入れて返す。
+   signal が中断されたら（クライアントの切断）残りの取得元は取りに行かない。
+============================================================ */
+
+/** 1 つの取得元から取るピンの上限 */
+export const MAX_PINS_PER_SOURCE = 200;
+const MAX_ROUNDS = 3;
+
+/**
+ * @typedef {{ boardId: string, sectionId?: string|null }} PinSource
+ */
+
+/**
+ * @param {{
+ *   sources: PinSource[], limit: number,
+ *   fetchPins: (src: PinSource, limit: number) => Promise<any[]>,
+ *   onPins?: (pins: any[]) => void, signal?: AbortSignal, concurrency?: number
+ * }} opt
+ *   fetchPins: 取得元の新しい方から limit 件までのピン
+ * @returns {Promise<{ items: any[], failures: Array<{ boardId: string, sectionId: string|null, error: any }> }>}
+ *   items は保存日時の新しい順
+ */
+export async function aggregatePins({ sources, limit, fetchPins, onPins, signal, concurrency = 4 }) {
+  const out = [];
+  const seen = new Set();
+  const failures = [];
+  /** @type {Map<PinSource, number>} 取得元ごとにこれまで取った件数 */
+  const taken = new Map(sources.map((src) => [src, 0]));
+  let open = [...sources];
+
+  for (let round = 0; round < MAX_ROUNDS && open.length && out.length < limit; round++) {
+    const quotas = splitEvenly(limit - out.length, open.length);
+    const jobs = open
+      .map((src, i) => ({ src, want: Math.min(MAX_PINS_PER_SOURCE, taken.get(src) + quotas[i]) }))
+      .filter((job) => job.want > taken.get(job.src));
+    if (!jobs.length) break;
+
+    /** 次の回にも取り足せる取得元 */
+    const more = new Set(open.filter((src) => !jobs.some((job) => job.src === src)));
+    await forEachLimit(jobs, concurrency, async ({ src, want }) => {
+      if (signal?.aborted) return;
+      try {
+        const pins = await fetchPins(src, want);
+        const fresh = [];
+        for (const p of pins.slice(taken.get(src), want)) {
+          if (seen.has(p.id)) continue;
+          seen.add(p.id);
+          fresh.push(p);
+        }
+        taken.set(src, Math.min(pins.length, want));
+        if (pins.length >= want && want < MAX_PINS_PER_SOURCE) more.add(src);
+        out.push(...fresh);
+        if (fresh.length) onPins?.(fresh);
+      } catch (e) {
+        console.warn('Pins fetch failed:', src.boardId, src.sectionId || '', e?.message || e);
+        failures.push({ boardId: src.boardId, sectionId: src.sectionId || null, error: e });
+      }
+    });
+    open = open.filter((src) => more.has(src));
+  }
+
+  return { items: sortPinsByCreatedAt(out, 'newest'), failures };
+}
+
+/** total を n 個に分ける（前のものほど端数の 1 を多く持つ） */
+function splitEvenly(total, n) {
+  const base = Math.floor(total / n);
+  return Array.from({ length: n }, (_, i) => base + (i < total % n ? 1 : 0));
+}
+
+// items を最大 concurrency 件ずつ並行に処理する（完了順は保証しない。fn は例外を投げない前提）
+async function forEachLimit(items, concurrency, fn) {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) await fn(items[next++]);
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+}
@@ -0,0 +1,138 @@
+import fs from 'fs';
+import path from 'path';
+
+/* ============================================================
+   変換済み画像のディスクキャッシュ
+
+   - 1 エントリ = 1 ファイル（<key>.<ext>）。key は呼び出し側で作る 16 進のハッシュ
+   - 合計サイズが maxBytes を超えたら、最も長く使われていないものから削除する（LRU）
+   - 起動時にフォルダを走査して索引を作り直す（使用順はファイルの更新日時で代用）
+   - 同じキーの生成が同時に走らないよう、生成中の Promise を共有する
+============================================================ */
+
+const KEY_RE = /^[0-9a-f]{16,128}$/;
+
+/**
+ * @param {{ dir: string, maxBytes: number }} opt
+ */
+export function createDiskCache({ dir, maxBytes }) {
+  /** @type {Map<string, { file: string, ext: string, size: number }>} 挿入順 = 使用順（古い順） */
+  const index = new Map();
+  /** @type {Map<string, Promise<any>>} */
+  const inflight = new Map();
+  let totalBytes = 0;
+  let ready = false;
+
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    const found = [];
+    for (const name of fs.readdirSync(dir)) {
+      const m = /^([0-9a-f]+)\.(\w+)$/.exec(name);
+      if (!m || !KEY_RE.test(m[1])) continue;
+      const file = path.join(dir, name);
+      const st = fs.statSync(file, { throwIfNoEntry: false });
+      if (st?.isFile()) found.push({ key: m[1], ext: m[2], file, size: st.size, mtimeMs: st.mtimeMs });
+    }
+    found.sort((a, b) => a.mtimeMs - b.mtimeMs);
+    for (const f of found) {
+      index.set(f.key, { file: f.file, ext: f.ext, size: f.size });
+      totalBytes += f.size;
+    }
+    ready = true;
+    evict();
+    if (index.size) console.log(`IMAGE_CACHE_DIR: ${index.size} 件 (${Math.round(totalBytes / 1024 / 1024)}MB) を読み込みました`);
+  } catch (e) {
+    console.warn(`IMAGE_CACHE_DIR "${dir}" を使えないため、変換結果をキャッシュしません (${e.message})`);
+  }
+
+  function evict() {
+    while (totalBytes > maxBytes && index.size) {
+      const [key, entry] = index.entries().next().value;
+      index.delete(key);
+      totalBytes -= entry.size;
+      fs.promises.unlink(entry.file).catch(() => {});
+    }
+  }
+
+  /** @returns {Promise<{ buffer: Buffer, ext: string } | null>} */
+  async function get(key) {
+    const entry = index.get(key);
+    if (!entry) return null;
+    try {
+      const buffer = await fs.promises.readFile(entry.file);
+      index.delete(key);
+      index.set(key, entry); // 使用順の末尾へ
+      // 再起動後も使用順を引き継げるよう更新日時を進める
+      const now = new Date();
+      fs.promises.utimes(entry.file, now, now).catch(() => {});
+      return { buffer, ext: entry.ext };
+    } catch {
+      // 外から消された
+      if (index.get(key) === entry) {
+        index.delete(key);
+        totalBytes -= entry.size;
+      }
+      return null;
+    }
+  }
+
+  /** @param {string} key @param {Buffer} buffer @param {string} ext */
+  async function put(key, buffer, ext) {
+    if (!ready || !KEY_RE.test(key) || !/^\w+$/.test(ext) || buffer.length > maxBytes) return;
+    const file = path.join(dir, `${key}.${ext}`);
+    const tmp = `${file}.${process.pid}.tmp`;
+    try {
+      await fs.promises.writeFile(tmp, buffer);
+      await fs.promises.rename(tmp, file);
+    } catch (e) {
+      fs.promises.unlink(tmp).catch(() => {});
+      console.warn('Image cache write failed:', e.message);
+      return;
+    }
+    const prev = index.get(key);
+    if (prev) {
+      index.delete(key);
+      totalBytes -= prev.size;
+      if (prev.file !== file) fs.promises.unlink(prev.file).catch(() => {});
+    }
+    index.set(key, { file, ext, size: buffer.length });
+    totalBytes += buffer.length;
+    evict();
+  }
+
+  return {
+    get,
+    put,
+
+    /**
+     * キャッシュにあればそれを、無ければ create() で作って保存したものを返す。
+     * @template {{ buffer: Buffer, ext: string }} T
+     * @param {string} key
+     * @param {() => Promise<T>} create
+     * @returns {Promise<{ value: { buffer: Buffer, ext: string }, hit: boolean }>}
+     */
+    async getOrCreate(key, create) {
+      const cached = await get(key);
+      if (cached) return { value: cached, hit: true };
+
+      let pending = inflight.get(key);
+      if (!pending) {
+        pending = (async () => {
+          const value = await create();
+          await put(key, value.buffer, value.ext);
+          return value;
+        })().finally(() => inflight.delete(key));
+        inflight.set(key, pending);
+      }
+      return { value: await pending, hit: false };
+    },
+
+    get size() {
+      return index.size;
+    },
+
+    get bytes() {
+      return totalBytes;
+    }
+  };
+}
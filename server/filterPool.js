@@ -0,0 +1,99 @@
+import { Worker } from 'worker_threads';
+
+/* ============================================================
+   スタディフィルタの画素処理を行う Worker スレッドのプール
+
+   filters.js の処理は JS のループなので、リクエストを受けるスレッドで回すと
+   大きな画像の間サーバ全体が止まる。Worker（filterWorker.js）に渡して、終わるのを待つ。
+   - Worker は最初の処理のときに作り、同時に size 本まで動かす
+   - 待ちが maxQueue 件を超えたら 503 で断る（変換要求を大量に送られても溜め込まない）
+   - 処理中の Worker が落ちたらその処理はエラーにし、次の処理のときに作り直す
+   - 空いている Worker はプロセスの終了を妨げない（unref）
+============================================================ */
+
+/**
+ * @typedef {{ data: Uint8ClampedArray, width: number, height: number }} RgbaImage
+ */
+
+/**
+ * @param {{ size?: number, maxQueue?: number }} [opt]
+ */
+export function createFilterPool({ size = 2, maxQueue = 32 } = {}) {
+  /** @type {Array<{ worker: Worker, job: any }>} */
+  const slots = [];
+  /** @type {any[]} */
+  const queue = [];
+  let nextId = 1;
+
+  function spawn() {
+    const slot = { worker: new Worker(new URL('./filterWorker.js', import.meta.url)), job: null };
+    slot.worker.unref();
+    slot.worker.on('message', (msg) => {
+      const job = slot.job;
+      if (!job || msg.id !== job.id) return;
+      finish(slot);
+      if (msg.error) job.reject(new Error(msg.error));
+      else job.resolve(msg.data);
+    });
+    const fail = (err) => {
+      const job = slot.job;
+      const i = slots.indexOf(slot);
+      if (i >= 0) slots.splice(i, 1);
+      if (job) {
+        slot.job = null;
+        job.reject(err instanceof Error ? err : new Error(`filter worker exited (${err})`));
+      }
+      pump();
+    };
+    slot.worker.on('error', fail);
+    slot.worker.on('exit', fail);
+    slots.push(slot);
+    return slot;
+  }
+
+  function finish(slot) {
+    slot.job = null;
+    slot.worker.unref();
+    pump();
+  }
+
+  function pump() {
+    while (queue.length) {
+      const slot = slots.find((s) => !s.job) || (slots.length < size ? spawn() : null);
+      if (!slot) return;
+      const job = queue.shift();
+      slot.job = job;
+      slot.worker.ref(); // 処理中は結果を待つ
+      const { data, width, height } = job.image;
+      slot.worker.postMessage({ id: job.id, data, width, height, ops: job.ops, gray: job.gray }, [data.buffer]);
+    }
+  }
+
+  return {
+    /**
+     * image の画素に filters.js の applyFilters を掛けた結果を返す。
+     * image.data の ArrayBuffer は Worker へ移す（呼び出し後は使えない）。
+     * @param {RgbaImage} image
+     * @param {import('../public/filters.js').FilterOp[]} ops
+     * @param {{ gray?: boolean }} [opt]
+     * @returns {Promise<Uint8ClampedArray>}
+     */
+    run(image, ops, { gray = false } = {}) {
+      if (queue.length >= maxQueue) {
+        const err = new Error('image filters are busy');
+        err.status = 503;
+        return Promise.reject(err);
+      }
+      return new Promise((resolve, reject) => {
+        queue.push({ id: nextId++, image, ops, gray, resolve, reject });
+        pump();
+      });
+    },
+
+    /** Worker をすべて止める（待ち・処理中のものはエラーになる） */
+    async close() {
+      for (const job of queue.splice(0)) job.reject(new Error('filter pool closed'));
+      await Promise.all(slots.map((s) => s.worker.terminate()));
+    }
+  };
+}
@@ -0,0 +1,18 @@
+import { parentPort } from 'worker_threads';
+import { applyFilters } from '../public/filters.js';
+
+/* ============================================================
+   スタディフィルタの Worker（filterPool.js から 1 件ずつ受け取る）
+
+   ← { id, data, width, height, ops, gray }   data は RGBA の Uint8ClampedArray（所有権ごと受け取る）
+   → { id, data } / { id, error }
+============================================================ */
+
+parentPort.on('message', ({ id, data, width, height, ops, gray }) => {
+  try {
+    applyFilters({ data, width, height }, ops, { gray });
+    parentPort.postMessage({ id, data }, [data.buffer]);
+  } catch (e) {
+    parentPort.postMessage({ id, error: e?.message || String(e) });
+  }
+});
@@ -0,0 +1,159 @@
+import { fetch } from 'undici';   // ← これが最重要（安定版 fetch）
+
+/* ============================================================
+   HTTP ユーティリティ
+
+   fetchWithTimeout は 1 回ごとのタイムアウトに加えて、一時的な失敗を再試行する。
+   - 再試行するのは ネットワークエラー・タイムアウト・429・5xx（500/502/503/504）
+   - 待ち時間は Retry-After / X-RateLimit-Reset があればそれに従い、
+     無ければ指数バックオフ（上限 maxDelayMs）にジッタを掛ける
+   - deadline（epoch ms）を過ぎる待ちはせず、最後の応答（またはエラー）を返す
+   - signal が中断されたら（クライアントの切断など）待ち・通信とも直ちにやめる
+   - redirect: 'manual' を渡すと 3xx をそのまま返す（転送先を呼び出し側で検査したいとき）
+   既定で再試行するのは GET / HEAD だけ（トークン交換などの POST は 1 回）。
+============================================================ */
+
+const RETRY_STATUSES = new Set([429, 500, 502, 503, 504]);
+const BASE_DELAY_MS = 500;
+
+/**
+ * @param {string} url
+ * @param {{
+ *   timeoutMs?: number, headers?: Record<string, string>, method?: string, body?: any,
+ *   retries?: number, maxDelayMs?: number, deadline?: number, signal?: AbortSignal,
+ *   redirect?: 'follow' | 'manual' | 'error'
+ * }} [opt]
+ *   retries: 失敗時に追加で試す回数 / maxDelayMs: 1 回の待ちの上限（これより長い Retry-After なら諦める）
+ *   deadline: 全体の締め切り（epoch ms） / signal: 外からの中断
+ */
+export async function fetchWithTimeout(url, opt = {}) {
+  const {
+    timeoutMs = 10000,
+    headers = {},
+    method = 'GET',
+    body,
+    retries = method === 'GET' || method === 'HEAD' ? 2 : 0,
+    maxDelayMs = 30000,
+    deadline = Infinity,
+    signal,
+    redirect = 'follow'
+  } = opt;
+
+  for (let attempt = 0; ; attempt++) {
+    throwIfAborted(signal);
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) throw deadlineError(url);
+
+    let res = null;
+    let error = null;
+    try {
+      res = await fetchOnce(url, { method, headers, body, redirect, signal, timeoutMs: Math.min(timeoutMs, remaining) });
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      error = err;
+    }
+
+    if (res && !RETRY_STATUSES.has(res.status)) return res;
+    if (attempt >= retries) {
+      if (res) return res;
+      throw error;
+    }
+
+    const delay = res ? retryDelayMs(res, attempt) : backoffMs(attempt);
+    if (delay > maxDelayMs || Date.now() + delay >= deadline) {
+      if (res) return res;
+      throw error;
+    }
+
+    console.warn(
+      `Retrying ${method} ${redactUrl(url)} in ${delay}ms (attempt ${attempt + 2}/${retries + 1}):`,
+      res ? res.status : error?.message || error
+    );
+    // 再試行する応答の本文は読まずに捨てる
+    await res?.body?.cancel().catch(() => {});
+    await sleep(delay, signal);
+  }
+}
+
+async function fetchOnce(url, { timeoutMs, signal, ...init }) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(new Error(`timeout after ${timeoutMs}ms`)), timeoutMs);
+  const onAbort = () => controller.abort(signal.reason);
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    return await fetch(url, { ...init, signal: controller.signal });
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * 429 / 5xx の応答から次の試行までの待ち時間を決める。
+ * Retry-After（秒 or HTTP 日付）→ 残り 0 のときの X-RateLimit-Reset → 指数バックオフ の順。
+ */
+function retryDelayMs(res, attempt) {
+  const retryAfter = parseRetryAfter(res.headers.get('retry-after'));
+  if (retryAfter != null) return retryAfter;
+
+  const remaining = res.headers.get('x-ratelimit-remaining');
+  const reset = Number(res.headers.get('x-ratelimit-reset'));
+  if ((res.status === 429 || remaining === '0') && reset > 0) {
+    // エポック秒で返す API と「あと何秒」で返す API の両方がある
+    const ms = reset > 1e9 ? reset * 1000 - Date.now() : reset * 1000;
+    return Math.max(0, Math.ceil(ms));
+  }
+
+  return backoffMs(attempt);
+}
+
+/** @returns {number|null} ミリ秒（解釈できなければ null） */
+function parseRetryAfter(value) {
+  if (value == null || value === '') return null;
+  const sec = Number(value);
+  if (Number.isFinite(sec)) return Math.max(0, sec * 1000);
+  const at = Date.parse(String(value));
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+// 指数バックオフ（0.5s, 1s, 2s, …）の半分〜全体をランダムに待つ
+function backoffMs(attempt) {
+  const base = Math.min(BASE_DELAY_MS * 2 ** attempt, 8000);
+  return Math.round(base / 2 + Math.random() * (base / 2));
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function throwIfAborted(signal) {
+  if (signal?.aborted) throw signal.reason;
+}
+
+function deadlineError(url) {
+  const err = new Error(`deadline exceeded before requesting ${redactUrl(url)}`);
+  err.name = 'DeadlineError';
+  return err;
+}
+
+// ログにクエリ（検索ワード・bookmark など）を残さない
+function redactUrl(url) {
+  try {
+    const u = new URL(url);
+    return `${u.origin}${u.pathname}`;
+  } catch {
+    return String(url);
+  }
+}
@@ -0,0 +1,160 @@
+import { Readable, Transform, pipeline } from 'stream';
+import { fetchWithTimeout } from './http.js';
+
+/* ============================================================
+   画像プロキシの上流取得
+
+   オープンプロキシにならないよう、取得のたびに次を確認する。
+   - URL は http / https で、ホストが許可リストに一致すること
+   - リダイレクトは自動で辿らず、転送先ごとに許可リストで検査し直す（最大 maxRedirects 回）
+   - Content-Type が画像であること（SVG はスクリプトを含められるので除く）
+   - 本文は受け取りながらバイト数を数え、maxBytes を超えたら中断する
+     （Content-Length が無い・偽っている応答でも上限を守る）
+
+   許可リストの書き方: ".example.com" はサブドメインだけ、"example.com" はそのホストとサブドメイン。
+   失敗は status 付きの Error（400 / 403 / 413 / 415 / 502）で投げる。
+============================================================ */
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+const BLOCKED_IMAGE_TYPES = new Set(['image/svg+xml']);
+
+const FETCH_HEADERS = {
+  // 画像の取得を明示（上流の挙動が変わっても安全側に）
+  Accept: 'image/avif,image/webp,image/apng,image/*,*/*;q=0.8',
+  'User-Agent': 'Pinterval/1.0 (image-proxy)'
+};
+
+/**
+ * カンマ・空白区切りのホスト指定を許可リストの配列にする。
+ * @param {string} value
+ * @returns {string[]}
+ */
+export function parseHostList(value) {
+  return String(value || '')
+    .split(/[\s,]+/)
+    .map((h) => h.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * @param {string} hostname
+ * @param {string[]} hosts  許可リスト
+ */
+export function isAllowedHost(hostname, hosts) {
+  const h = String(hostname || '').toLowerCase();
+  if (!h) return false;
+  return hosts.some((entry) => (entry.startsWith('.')
+    ? h.endsWith(entry)
+    : h === entry || h.endsWith(`.${entry}`)));
+}
+
+/**
+ * @param {{ hosts: string[], maxBytes: number, maxRedirects?: number, timeoutMs?: number }} opt
+ */
+export function createImageFetcher({ hosts, maxBytes, maxRedirects = 3, timeoutMs = 15000 }) {
+  /**
+   * 取得してよい URL か確かめる。
+   * @param {string} raw
+   * @returns {URL}
+   */
+  function checkUrl(raw) {
+    let u;
+    try {
+      u = new URL(raw);
+    } catch {
+      throw httpError(400, 'invalid url');
+    }
+    if (!(u.protocol === 'https:' || u.protocol === 'http:')) throw httpError(400, 'unsupported protocol');
+    if (u.username || u.password) throw httpError(400, 'credentials in url are not allowed');
+    if (!isAllowedHost(u.hostname, hosts)) throw httpError(403, 'host not allowed');
+    return u;
+  }
+
+  /**
+   * 上流の画像を開く。本文は maxBytes を超えるとエラー（status 413）になる Node の Readable。
+   * @param {string} raw
+   * @param {{ signal?: AbortSignal }} [opt]
+   * @returns {Promise<{ contentType: string, contentLength: number|null, body: import('stream').Readable }>}
+   */
+  async function open(raw, { signal } = {}) {
+    let url = checkUrl(raw);
+
+    for (let hop = 0; ; hop++) {
+      const upstream = await fetchWithTimeout(url.href, {
+        timeoutMs,
+        headers: FETCH_HEADERS,
+        redirect: 'manual',
+        signal
+      });
+
+      if (REDIRECT_STATUSES.has(upstream.status)) {
+        await upstream.body?.cancel().catch(() => {});
+        const location = upstream.headers.get('location');
+        if (!location) throw httpError(502, 'redirect without location');
+        if (hop >= maxRedirects) throw httpError(502, 'too many redirects');
+        // 相対指定もあるので、今の URL を基準に解決してから検査する
+        url = checkUrl(new URL(location, url).href);
+        continue;
+      }
+
+      if (!upstream.ok) {
+        await upstream.body?.cancel().catch(() => {});
+        throw httpError(502, `upstream error (${upstream.status})`);
+      }
+
+      const contentType = String(upstream.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+      if (!contentType.startsWith('image/') || BLOCKED_IMAGE_TYPES.has(contentType)) {
+        await upstream.body?.cancel().catch(() => {});
+        throw httpError(415, `not an image (${contentType || 'no content-type'})`);
+      }
+
+      const contentLength = Number(upstream.headers.get('content-length')) || null;
+      if (contentLength && contentLength > maxBytes) {
+        await upstream.body?.cancel().catch(() => {});
+        throw httpError(413, 'image too large');
+      }
+
+      return { contentType, contentLength, body: limitBytes(upstream.body, maxBytes) };
+    }
+  }
+
+  /**
+   * 上流の画像をメモリへ読み込む（サーバ側の変換用）。
+   * @param {string} raw
+   * @param {{ signal?: AbortSignal }} [opt]
+   * @returns {Promise<Buffer>}
+   */
+  async function readBuffer(raw, opt) {
+    const { body } = await open(raw, opt);
+    const chunks = [];
+    for await (const chunk of body) chunks.push(chunk);
+    return Buffer.concat(chunks);
+  }
+
+  return { checkUrl, open, readBuffer };
+}
+
+/** Web ReadableStream を、maxBytes を超えたらエラーにする Node の Readable に変える */
+function limitBytes(webBody, maxBytes) {
+  let total = 0;
+  const limiter = new Transform({
+    transform(chunk, _enc, callback) {
+      total += chunk.length;
+      if (total > maxBytes) return callback(httpError(413, 'image too large'));
+      callback(null, chunk);
+    }
+  });
+  if (!webBody) {
+    limiter.end();
+    return limiter;
+  }
+  // どちらかが失敗・中断したら両方を閉じる（エラーは limiter を読む側に届く）
+  pipeline(Readable.fromWeb(webBody), limiter, () => {});
+  return limiter;
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
@@ -0,0 +1,139 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+// スタディフィルタの画素処理はブラウザ側の代替変換と同じもの（filters.js）を Worker スレッドで使い、結果をそろえる
+import { parseFilterSpec, filterSpec } from '../public/filters.js';
+import { createFilterPool } from './filterPool.js';
+
+/* ============================================================
+   画像変換（/api/image-proxy の変換パラメータ）
+
+   ?gray=1          グレースケール（輝度 = 0.299R + 0.587G + 0.114B。クライアントの canvas 変換と同じ係数）
+   ?w=800&h=800     この枠に収まるよう縮小（拡大はしない。片方だけでも可）
+   ?fmt=webp        出力形式 jpeg / png / webp / avif（省略時は jpeg。透過のある画像は png）
+   ?q=80            品質 1〜100（jpeg / webp / avif）
+   ?fx=mirror,blur:2,posterize:3,edge
+                    スタディフィルタ（左右反転・ぼかし・ノタン・輪郭。詳細は public/filters.js）
+                    フィルタを掛けるときは、w / h の指定が無くても長辺 FX_MAX_DIM までに縮小する
+
+   変換パラメータが 1 つも無ければ null（元画像をそのまま中継する）。
+============================================================ */
+
+export const MAX_TRANSFORM_DIM = 4096;
+const DEFAULT_QUALITY = 80;
+/** スタディフィルタを掛ける画像の長辺の上限（画素の処理は JS なので、大きさで処理時間が決まる） */
+export const FX_MAX_DIM = 2048;
+
+const filterPool = createFilterPool({ size: 2, maxQueue: 32 });
+
+/** 出力形式と Content-Type（キャッシュの拡張子もこの名前） */
+export const OUTPUT_TYPES = Object.freeze({
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  avif: 'image/avif'
+});
+
+/**
+ * @typedef {{
+ *   gray: boolean, w: number|null, h: number|null, fmt: keyof typeof OUTPUT_TYPES|null, q: number,
+ *   fx: import('../public/filters.js').FilterOp[]
+ * }} ImageTransform
+ */
+
+/**
+ * クエリから変換指定を取り出す。値が不正なら Error（status 400）を投げる。
+ * @param {Record<string, any>} query
+ * @returns {ImageTransform|null}
+ */
+export function parseTransform(query) {
+  const has = (k) => query[k] != null && query[k] !== '';
+  if (!['gray', 'w', 'h', 'fmt', 'q', 'fx'].some(has)) return null;
+
+  const dim = (k) => {
+    if (!has(k)) return null;
+    const n = Number(query[k]);
+    if (!Number.isInteger(n) || n < 1) throw badRequest(`${k} must be a positive integer`);
+    return Math.min(n, MAX_TRANSFORM_DIM);
+  };
+
+  const fmt = has('fmt') ? String(query.fmt).toLowerCase().replace(/^jpg$/, 'jpeg') : null;
+  if (fmt && !OUTPUT_TYPES[fmt]) throw badRequest(`fmt must be one of ${Object.keys(OUTPUT_TYPES).join(', ')}`);
+
+  let q = DEFAULT_QUALITY;
+  if (has('q')) {
+    q = Number(query.q);
+    if (!Number.isInteger(q) || q < 1 || q > 100) throw badRequest('q must be 1-100');
+  }
+
+  let fx = [];
+  if (has('fx')) {
+    try {
+      fx = parseFilterSpec(String(query.fx));
+    } catch (err) {
+      throw badRequest(err.message);
+    }
+  }
+
+  return { gray: query.gray === '1' || query.gray === 'true', w: dim('w'), h: dim('h'), fmt, q, fx };
+}
+
+/**
+ * 元画像 URL と変換指定からキャッシュキーを作る。
+ * @param {string} url
+ * @param {ImageTransform} t
+ */
+export function transformKey(url, t) {
+  // フィルタ無しのキーは従来と同じにして、保存済みの変換結果を使い続ける
+  const fx = filterSpec(t.fx);
+  const spec = `${t.gray ? 1 : 0}|${t.w ?? ''}|${t.h ?? ''}|${t.fmt ?? ''}|${t.q}${fx ? `|${fx}` : ''}`;
+  return crypto.createHash('sha256').update(`${url}\n${spec}`).digest('hex');
+}
+
+/**
+ * @param {Buffer} input
+ * @param {ImageTransform} t
+ * @returns {Promise<{ buffer: Buffer, contentType: string, ext: string }>}
+ */
+export async function applyTransform(input, t) {
+  // 巨大な画像で固まらないよう、デコードするピクセル数に上限を設ける（既定値と同じ約 2.7 億）
+  let img = sharp(input, { failOn: 'error', limitInputPixels: 268402689 }).rotate(); // EXIF の向きを反映
+
+  const meta = await img.metadata();
+  const fmt = t.fmt || (meta.hasAlpha ? 'png' : 'jpeg');
+
+  // フィルタを掛けるときは、w / h の指定が無くても FX_MAX_DIM の枠に収める
+  const box = t.fx.length
+    ? { width: Math.min(t.w ?? FX_MAX_DIM, FX_MAX_DIM), height: Math.min(t.h ?? FX_MAX_DIM, FX_MAX_DIM) }
+    : { width: t.w ?? undefined, height: t.h ?? undefined };
+  if (box.width || box.height) {
+    img = img.resize({ ...box, fit: 'inside', withoutEnlargement: true });
+  }
+  if (t.fx.length) {
+    // 縮小後の画素に、グレースケールも含めてブラウザ側と同じ処理を（Worker スレッドで）掛ける
+    const { data, info } = await img.ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+    const pixels = await filterPool.run(
+      { data: new Uint8ClampedArray(data), width: info.width, height: info.height },
+      t.fx,
+      { gray: t.gray }
+    );
+    img = sharp(Buffer.from(pixels.buffer, pixels.byteOffset, pixels.byteLength), {
+      raw: { width: info.width, height: info.height, channels: 4 }
+    });
+  } else if (t.gray) {
+    const y = [0.299, 0.587, 0.114];
+    img = img.recomb([y, y, y]);
+  }
+  if (fmt === 'jpeg' && meta.hasAlpha) img = img.flatten({ background: '#ffffff' });
+
+  img = fmt === 'png'
+    ? img.png({ compressionLevel: 9 })
+    : img[fmt]({ quality: t.q });
+
+  return { buffer: await img.toBuffer(), contentType: OUTPUT_TYPES[fmt], ext: fmt };
+}
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
@@ -1,8 +1,25 @@
 import express from 'express';
+import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { Readable } from 'stream';
-import { fetch } from 'undici';   // ← これが最重要（安定版 fetch）
+import { pipeline } from 'stream';
+import {
+  normalizePinsFromPinterest,
+  normalizeBoardsFromPinterest,
+  normalizeSectionsFromPinterest
+} from './normalize.js';
+import { createProvider, PinterestApiError } from './providers/index.js';
+import { createSessionStore } from './session.js';
+import { createLocalImageSource } from './localImages.js';
+import { createResponseCache } from './responseCache.js';
+import { createDiskCache } from './diskCache.js';
+import { createImageFetcher, parseHostList } from './imageFetch.js';
+import { createRateLimiter } from './rateLimit.js';
+import { aggregatePins } from './aggregate.js';
+import { parseTransform, transformKey, applyTransform, OUTPUT_TYPES } from './imageTransform.js';
+import { requestToken, storeTokenInSession, canRefresh, isExpiringSoon, refreshSessionToken } from './oauth.js';
+import crypto from 'crypto';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -10,34 +27,123 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.argv.includes('--dev') ? 5173 : (process.env.PORT || 3000);
 
-// Simple in-memory cache
-const cache = new Map();
+// リバースプロキシ（Render など）の後ろで動かすときは、req.ip が X-Forwarded-For の
+// クライアントになるよう TRUST_PROXY を設定する（例: 1 = 直前のプロキシ 1 段を信頼）
+if (process.env.TRUST_PROXY) {
+  const v = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(v) ? Number(v) : v === 'true' ? true : v);
+}
 
 /* ============================================================
-   Pinterest OAuth2 用設定
+   Pinterest 応答のキャッシュ
+   ユーザーごとに「ボード一覧・ボード/セクションのピン・検索結果」を取得条件単位で保持し、
+   スタートのたびに全ボード・全ページを辿り直して rate limit に当たらないようにする。
+   ?refresh=1 でキャッシュを使わずに取り直す（結果でキャッシュも更新する）。
 ============================================================ */
-console.log("ENV CHECK:", {
-  CLIENT_ID: process.env.PINTEREST_CLIENT_ID,
-  CLIENT_SECRET: process.env.PINTEREST_CLIENT_SECRET,
-  REDIRECT_URI: process.env.PINTEREST_REDIRECT_URI
+const cache = createResponseCache({
+  ttlMs: Math.max(Number(process.env.CACHE_TTL_SEC ?? 600), 0) * 1000,
+  maxEntries: Math.max(Number(process.env.CACHE_MAX_ENTRIES) || 300, 1),
+  file: process.env.CACHE_FILE || ''
+});
+
+/* ============================================================
+   データプロバイダ（Pinterest v5 / モック）
+   USE_MOCK=1 のときは public/mock/ のフィクスチャだけで動作する。
+============================================================ */
+const USE_MOCK = process.env.USE_MOCK === '1';
+const provider = createProvider({
+  useMock: USE_MOCK,
+  fixturesDir: path.join(__dirname, '..', 'public', 'mock'),
+  scenario: process.env.MOCK_SCENARIO || ''
 });
+if (USE_MOCK) {
+  console.log(`USE_MOCK=1: モックプロバイダで起動します${process.env.MOCK_SCENARIO ? ` (MOCK_SCENARIO=${process.env.MOCK_SCENARIO})` : ''}`);
+}
+
+/* ============================================================
+   ローカル画像フォルダ（LOCAL_IMAGE_DIRS）
+   指定したフォルダを Pinterest のボードと並ぶ「ボード」として扱う。
+   トークンが無くてもローカルのボードだけで再生できる。
+============================================================ */
+const localImages = createLocalImageSource({ dirs: process.env.LOCAL_IMAGE_DIRS || '' });
+
+// 1 リクエスト（全ボード・全ページの集約を含む）で Pinterest を待つ上限。
+// 429・5xx の再試行もこの時間内で行い、超えた分の取得元は失敗として扱う。
+const API_DEADLINE_MS = Math.max(Number(process.env.API_DEADLINE_SEC) || 25, 1) * 1000;
+// 複数ボードの集約で同時に取りに行くボード数（多すぎると rate limit に当たりやすい）
+const AGGREGATE_CONCURRENCY = Math.max(Number(process.env.AGGREGATE_CONCURRENCY) || 4, 1);
+
+/* ============================================================
+   Pinterest OAuth2 用設定
+============================================================ */
+// 公開 URL（例: https://pinterval.onrender.com, http://localhost:5173）。
+// ログイン後の戻り先・既定のリダイレクト URI・クライアントへの通知に使う。
+// 未設定なら、リクエストのプロトコルと Host から決める（リバースプロキシの後ろでは TRUST_PROXY も設定する）。
+// 本番（NODE_ENV=production）では、Host ヘッダ次第で OAuth の戻り先が変わらないよう設定を必須にする。
+const PUBLIC_BASE_URL = String(process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+if (!PUBLIC_BASE_URL && process.env.NODE_ENV === 'production') {
+  console.error('PUBLIC_BASE_URL が未設定です（NODE_ENV=production では必須）。例: PUBLIC_BASE_URL=https://pinterval.onrender.com');
+  process.exit(1);
+}
 
 const CLIENT_ID = process.env.PINTEREST_CLIENT_ID;
 const CLIENT_SECRET = process.env.PINTEREST_CLIENT_SECRET;
-const REDIRECT_URI = process.env.PINTEREST_REDIRECT_URI;
 
-// OAuth で取得した token をメモリに保持
-let dynamicAccessToken = null;
+/** @param {import('express').Request} req */
+function publicBaseUrl(req) {
+  return PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+/** @param {import('express').Request} req */
+function redirectUri(req) {
+  return process.env.PINTEREST_REDIRECT_URI || `${publicBaseUrl(req)}/auth/callback`;
+}
+
+// OAuth state の有効期間（認可画面で放置された場合）
+const OAUTH_STATE_TTL_MS = 10 * 60 * 1000;
+
+console.log("ENV CHECK:", {
+  PUBLIC_BASE_URL: PUBLIC_BASE_URL || '(リクエストの Host から決める)',
+  CLIENT_ID,
+  CLIENT_SECRET: CLIENT_SECRET ? '(set)' : undefined,
+  REDIRECT_URI: process.env.PINTEREST_REDIRECT_URI || `${PUBLIC_BASE_URL || '<リクエストの Host>'}/auth/callback`
+});
+
+/* ============================================================
+   セッション（ブラウザごとに OAuth トークンを保持）
+   SESSION_SECRET 未設定時は起動ごとのランダム値を使う
+   （再起動で全員ログアウトされる）。
+============================================================ */
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.SESSION_SECRET) {
+  console.warn('SESSION_SECRET が未設定のため、一時的な署名鍵を使用します。');
+}
+
+const sessions = createSessionStore({
+  secret: SESSION_SECRET,
+  secure: (req) => publicBaseUrl(req).startsWith('https://')
+});
+app.use(sessions.middleware);
 
 /* --------------------------
    1) Pinterest 認可画面へ
 -------------------------- */
 app.get('/auth/login', (req, res) => {
+  // CSRF 対策: ログインごとのランダムな state をセッションに保存し、callback で照合する
+  // ログイン中に来ても保存済みのトークンは消さない（セッション ID は callback で発行し直す）
+  const state = crypto.randomBytes(24).toString('base64url');
+  const session = sessions.ensure(req, res);
+  session.oauthState = state;
+  session.oauthStateExpiresAt = Date.now() + OAUTH_STATE_TTL_MS;
+  // トークン交換では認可時と同じ redirect_uri を送る必要がある
+  session.oauthRedirectUri = redirectUri(req);
+
   const params = new URLSearchParams({
     response_type: 'code',
     client_id: CLIENT_ID,
-    redirect_uri: REDIRECT_URI,
-    scope: 'boards:read,pins:read,boards:read_secret,pins:read_secret'
+    redirect_uri: session.oauthRedirectUri,
+    scope: 'boards:read,pins:read,boards:read_secret,pins:read_secret',
+    state
   });
 
   const url = `https://www.pinterest.com/oauth/?${params.toString()}`;
@@ -52,151 +158,199 @@ app.get('/auth/login', (req, res) => {
 app.get('/auth/callback', async (req, res) => {
   const code = req.query.code;
 
-  try {
-    const basicAuth = Buffer
-      .from(`${CLIENT_ID}:${CLIENT_SECRET}`)
-      .toString("base64");
-
-    const params = new URLSearchParams({
-      grant_type: "authorization_code",
-      code,
-      redirect_uri: REDIRECT_URI
-    });
+  // state は 1 回限り。照合前に取り出してセッションから消す
+  const expectedState = req.session?.oauthState;
+  const stateExpiresAt = req.session?.oauthStateExpiresAt || 0;
+  const oauthRedirectUri = req.session?.oauthRedirectUri || redirectUri(req);
+  if (req.session) {
+    delete req.session.oauthState;
+    delete req.session.oauthStateExpiresAt;
+    delete req.session.oauthRedirectUri;
+  }
+  if (!isValidOAuthState(String(req.query.state || ''), expectedState, stateExpiresAt)) {
+    console.warn("OAuth callback rejected: state mismatch");
+    return res.status(400).send("OAuth error (invalid state)");
+  }
+  if (!code) {
+    return res.status(400).send("OAuth error");
+  }
 
-    const tokenRes = await fetch("https://api.pinterest.com/v5/oauth/token", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/x-www-form-urlencoded",
-        "Authorization": `Basic ${basicAuth}`,
-        "Accept": "application/json"
-      },
-      body: params.toString()
+  try {
+    const data = await requestToken({
+      clientId: CLIENT_ID,
+      clientSecret: CLIENT_SECRET,
+      params: {
+        grant_type: "authorization_code",
+        code,
+        redirect_uri: oauthRedirectUri
+      }
     });
 
-    const text = await tokenRes.text();
-    console.log("Pinterest response:", text);
-
-    if (!tokenRes.ok) {
-      return res.status(400).send(text);
-    }
-
-    const data = JSON.parse(text);
-    dynamicAccessToken = data.access_token;
+    // ログインのたびに新しいセッションを発行し、そのブラウザにだけ紐づける
+    // （refresh_token と有効期限も保持して期限前に自動更新する）
+    const session = sessions.create(req, res);
+    storeTokenInSession(session, data);
 
-    return res.redirect("https://pinterval.onrender.com");
+    return res.redirect(`${publicBaseUrl(req)}/`);
   } catch (e) {
+    if (e instanceof PinterestApiError) {
+      console.error("Pinterest token exchange failed:", e.status, e.details);
+      return res.status(400).send("OAuth error");
+    }
     console.error(e);
     res.status(500).send("OAuth error");
   }
 });
 
+/* --------------------------
+   3) ログアウト
+-------------------------- */
+app.get('/auth/logout', (req, res) => {
+  sessions.destroy(req, res);
+  res.redirect(`${publicBaseUrl(req)}/`);
+});
+
+function isValidOAuthState(received, expected, expiresAt) {
+  if (!received || !expected || Date.now() > expiresAt) return false;
+  const a = Buffer.from(received);
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
 
 /* ============================================================
    Utility functions
 ============================================================ */
-async function fetchWithTimeout(url, opt = {}) {
-  const { timeoutMs = 10000, headers = {}, method = 'GET', body } = opt;
-  const controller = new AbortController();
-  const timer = setTimeout(() => controller.abort(), timeoutMs);
-
-  try {
-    const res = await fetch(url, {
-      method,
-      headers,
-      body,
-      signal: controller.signal
-    });
-    clearTimeout(timer);
-    return res;
-  } catch (err) {
-    clearTimeout(timer);
-    throw err;
+const oauthClient = { clientId: CLIENT_ID, clientSecret: CLIENT_SECRET };
+
+// リクエスト元ブラウザのセッションからトークンを解決する。
+// 期限切れ間近なら先に refresh_token で更新しておく。
+// PINTEREST_ACCESS_TOKEN は個人用デプロイ向けのフォールバック。
+async function getAccessToken(req) {
+  if (!provider.requiresAuth) return 'mock';
+  const session = req.session;
+  if (session?.accessToken && isExpiringSoon(session) && canRefresh(session)) {
+    try {
+      await refreshSessionToken(session, oauthClient);
+    } catch {
+      // 失敗時はセッションのトークンが消えるので下で null になる
+    }
   }
+  return session?.accessToken || process.env.PINTEREST_ACCESS_TOKEN || null;
 }
 
-function pickBestImageVariant(images) {
-  if (!images || typeof images !== "object") return null;
-
-  let bestUrl = null;
-  let bestScore = -1;
-
-  for (const [key, value] of Object.entries(images)) {
-    if (!value || !value.url) continue;
-
-    let score = 0;
-    const w = typeof value.width === "number" ? value.width : null;
-    const h = typeof value.height === "number" ? value.height : null;
-
-    if (w && h) {
-      // width/height がある場合は解像度で評価
-      score = w * h;
-    } else {
-      // フィールドに width/height が無い場合、キー名から数値を推測（例: "orig", "1200x", "600x900"）
-      const m = String(key).match(/(\d+)/);
-      if (m) {
-        score = parseInt(m[1], 10);
-      } else {
-        // 数字が取れないもの（"orig" など）は適度に高めのスコアを与える
-        score = 999999;
-      }
-    }
-
-    if (score > bestScore) {
-      bestScore = score;
-      bestUrl = value.url;
+// プロバイダ呼び出しにトークンを差し込むラッパを返す（トークンが無ければ null）。
+// Pinterest が 401 を返した場合は 1 回だけトークンを更新して再試行する。
+// 呼び出しにはリクエスト全体の締め切り（API_DEADLINE_MS）と、クライアント切断で中断する signal を付ける。
+async function createAuthedApi(req) {
+  const accessToken = await getAccessToken(req);
+  if (!accessToken) return null;
+  const cacheUser = cacheUserOf(req, accessToken);
+  const signal = clientSignal(req);
+  const deadline = Date.now() + API_DEADLINE_MS;
+
+  let current = accessToken;
+  const call = (method) => async (opts) => {
+    try {
+      return await provider[method]({ ...opts, accessToken: current, signal, deadline });
+    } catch (err) {
+      const session = req.session;
+      if (!(err instanceof PinterestApiError) || err.status !== 401) throw err;
+      if (!session?.accessToken || !canRefresh(session)) throw err;
+      current = session.accessToken !== current
+        ? session.accessToken // 並行リクエストが既に更新済み
+        : await refreshSessionToken(session, oauthClient);
+      return provider[method]({ ...opts, accessToken: current, signal, deadline });
     }
-  }
+  };
+
+  return {
+    getBoardsPage: call('getBoardsPage'),
+    getBoardPinsPage: call('getBoardPinsPage'),
+    getBoardSectionsPage: call('getBoardSectionsPage'),
+    getSectionPinsPage: call('getSectionPinsPage'),
+    searchPinsPage: call('searchPinsPage'),
+    cacheUser,
+    refresh: req.query.refresh === '1',
+    signal
+  };
+}
 
-  return bestUrl;
+// 応答を返し終える前にクライアントが切断したら中断される signal
+function clientSignal(req) {
+  const controller = new AbortController();
+  req.res?.on('close', () => {
+    if (!req.res.writableFinished) controller.abort();
+  });
+  return controller.signal;
 }
 
-function pickImageUrlFromPin(pin) {
-  if (!pin || typeof pin !== "object") return null;
+// キャッシュのユーザー単位のキー（トークンそのものはキーにもファイルにも残さない）。
+// セッションではログイン時のトークンから決めた値を使い続け、トークン更新でキャッシュが無効にならないようにする。
+function cacheUserOf(req, accessToken) {
+  if (!provider.requiresAuth) return provider.name;
+  const session = req.session;
+  if (session?.accessToken) return (session.cacheUser ||= hashForCache(session.accessToken));
+  return hashForCache(accessToken);
+}
 
-  // Pinterest API v5 の仕様上、media.images に複数バリアントが入るため
-  // その中から「一番大きいもの」を選ぶ。
-  const mediaImages = pin.media?.images;
-  if (mediaImages) {
-    const best = pickBestImageVariant(mediaImages);
-    if (best) return best;
-  }
+function hashForCache(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex').slice(0, 24);
+}
 
-  // 古い形式 / 互換フィールド images に対しても同様のロジックを適用
-  const images = pin.images;
-  if (images) {
-    const best = pickBestImageVariant(images);
-    if (best) return best;
-  }
+/**
+ * ユーザー・取得条件ごとに load() の結果をキャッシュする。失敗（例外）はキャッシュしない。
+ * @template T
+ * @param {{ cacheUser: string, refresh: boolean }} api
+ * @param {Array<string|number>} parts  ルート・ボード・件数など
+ * @param {() => Promise<T>} load
+ * @returns {Promise<T>}
+ */
+function withCache(api, parts, load) {
+  return cache.getOrLoad([api.cacheUser, ...parts].join('|'), load, { refresh: api.refresh });
+}
 
-  // フォールバック
-  if (pin.image_url) return pin.image_url;
-  if (pin.thumbnail_url) return pin.thumbnail_url;
+// API 応答はブラウザに毎回 ETag（express 既定の弱い ETag）で再検証させる。
+// 中身が同じなら 304 で本文を送らない。
+function revalidate(req, res, next) {
+  res.setHeader('Cache-Control', 'private, no-cache');
+  res.setHeader('Vary', 'Cookie');
+  next();
+}
 
-  return null;
+function sendNoTokenError(res) {
+  return res.status(401).json({
+    ok: false,
+    error: "Access Token がありません。/auth/login で認証してください。"
+  });
 }
 
-function normalizePinsFromPinterest(json) {
-  const items = Array.isArray(json?.items) ? json.items : [];
-  return items
-    .map((p) => {
-      const image = pickImageUrlFromPin(p);
-      return {
-        id: String(p.id || image || Math.random()),
-        title: p.title || p.description || p.alt_text || '',
-        link: p.link || null,
-        image
-      };
-    })
-    .filter((p) => !!p.image);
+// 上流の 401/403/429 はクライアントがログイン遷移や再試行を判断できるよう
+// そのまま返す。それ以外は 502 に丸める。
+function sendProviderError(res, err, label) {
+  if (err instanceof PinterestApiError) {
+    console.error(`${label} error:`, err.status, err.details);
+    if (err.status === 401 || err.status === 403) {
+      return res.status(err.status).json({ ok: false, error: `${label} 認証エラー`, status: err.status });
+    }
+    if (err.status === 429) {
+      if (err.retryAfter) res.setHeader('Retry-After', String(err.retryAfter));
+      return res.status(429).json({ ok: false, error: `${label} rate limited`, status: 429 });
+    }
+    return res.status(502).json({ ok: false, error: `${label} error`, status: err.status });
+  }
+  console.error(`${label} request failed:`, err);
+  return res.status(502).json({ ok: false, error: `${label} request failed` });
 }
 
 // Pinterest v5 API はページングに bookmark を使う。
 // limit まで複数ページを取得して正規化して返す。
-async function fetchPinsPaged({ endpointBase, accessToken, limit, timeoutMs = 10000 }) {
+// fetchPage は ({ pageSize, bookmark }) => Promise<v5 JSON>
+async function fetchPinsPaged({ fetchPage, limit }) {
   const safeLimit = Math.min(Math.max(Number(limit) || 0, 1), 500);
   const pageSize = Math.min(safeLimit, 50);
 
-  /** @type {Array<{id:string,title:string,link:string|null,image:string}>} */
+  /** @type {Array<{id:string,title:string,link:string|null,image:string,created_at:string|null,board_id:string|null}>} */
   const out = [];
   const seen = new Set();
 
@@ -206,27 +360,7 @@ async function fetchPinsPaged({ endpointBase, accessToken, limit, timeoutMs = 10
   while (out.length < safeLimit && loops < 50) {
     loops += 1;
 
-    const params = new URLSearchParams({ page_size: String(pageSize) });
-    if (bookmark) params.set('bookmark', String(bookmark));
-
-    const endpoint = `${endpointBase}?${params.toString()}`;
-    const pinterestRes = await fetchWithTimeout(endpoint, {
-      timeoutMs,
-      headers: {
-        Accept: 'application/json',
-        Authorization: `Bearer ${accessToken}`
-      }
-    });
-
-    if (!pinterestRes.ok) {
-      const text = await pinterestRes.text().catch(() => '');
-      const err = new Error(`Pinterest API error: ${pinterestRes.status}`);
-      // @ts-ignore
-      err.details = text;
-      throw err;
-    }
-
-    const json = await pinterestRes.json();
+    const json = await fetchPage({ pageSize, bookmark });
     const normalized = normalizePinsFromPinterest(json);
     for (const p of normalized) {
       if (out.length >= safeLimit) break;
@@ -243,70 +377,243 @@ async function fetchPinsPaged({ endpointBase, accessToken, limit, timeoutMs = 10
   return out.slice(0, safeLimit);
 }
 
-  
-/* ============================================================
-   /api/me/boards - ユーザーのボード一覧
-============================================================ */
-app.get('/api/me/boards', async (req, res) => {
-  const accessToken =
-    dynamicAccessToken || process.env.PINTEREST_ACCESS_TOKEN;
-
-  if (!accessToken) {
-    return res.status(500).json({
-      ok: false,
-      error: "Access Token がありません。/auth/login で認証してください。"
+// ボード一覧を bookmark で辿って取得（最大 maxBoards 件）
+function fetchAllBoards({ api, maxBoards = 500 }) {
+  return withCache(api, ['boards', maxBoards], () => fetchAllBoardsUncached({ api, maxBoards }));
+}
+
+async function fetchAllBoardsUncached({ api, maxBoards }) {
+  /** @type {Array<{id:string,name:string,description:string}>} */
+  const boards = [];
+  let bookmark = null;
+  let loops = 0;
+
+  while (boards.length < maxBoards && loops < 20) {
+    loops += 1;
+    const json = await api.getBoardsPage({ pageSize: 100, bookmark, timeoutMs: 10000 });
+    boards.push(...normalizeBoardsFromPinterest(json));
+    bookmark = json?.bookmark || json?.next_bookmark || null;
+    if (!bookmark) break;
+  }
+
+  return boards.slice(0, maxBoards);
+}
+
+async function fetchBoardPins({ api, boardId, limit }) {
+  if (localImages.hasBoard(boardId)) return localImages.listPins(boardId, { limit });
+  return withCache(api, ['board-pins', boardId, limit], async () => {
+    const pins = await fetchPinsPaged({
+      limit,
+      fetchPage: ({ pageSize, bookmark }) =>
+        api.getBoardPinsPage({ boardId, pageSize, bookmark, timeoutMs: 10000 })
     });
+    // board_id が返らない場合もあるので、取得元のボードで補う
+    for (const p of pins) p.board_id ||= String(boardId);
+    return pins;
+  });
+}
+
+// ボードのセクション一覧（最大 maxSections 件）
+async function fetchBoardSections({ api, boardId, maxSections = 200 }) {
+  if (localImages.hasBoard(boardId)) {
+    return (await localImages.listSections(boardId)).slice(0, maxSections);
   }
+  return withCache(api, ['sections', boardId, maxSections], () =>
+    fetchBoardSectionsUncached({ api, boardId, maxSections })
+  );
+}
 
-  const params = new URLSearchParams({
-    page_size: '100'
+async function fetchBoardSectionsUncached({ api, boardId, maxSections }) {
+  /** @type {Array<{id:string,name:string}>} */
+  const sections = [];
+  let bookmark = null;
+  let loops = 0;
+
+  while (sections.length < maxSections && loops < 10) {
+    loops += 1;
+    const json = await api.getBoardSectionsPage({ boardId, pageSize: 100, bookmark, timeoutMs: 10000 });
+    sections.push(...normalizeSectionsFromPinterest(json));
+    bookmark = json?.bookmark || json?.next_bookmark || null;
+    if (!bookmark) break;
+  }
+
+  return sections.slice(0, maxSections);
+}
+
+async function fetchSectionPins({ api, boardId, sectionId, limit }) {
+  if (localImages.hasBoard(boardId)) return localImages.listSectionPins(boardId, sectionId, { limit });
+  return withCache(api, ['section-pins', boardId, sectionId, limit], async () => {
+    const pins = await fetchPinsPaged({
+      limit,
+      fetchPage: ({ pageSize, bookmark }) =>
+        api.getSectionPinsPage({ boardId, sectionId, pageSize, bookmark, timeoutMs: 10000 })
+    });
+    for (const p of pins) p.board_id ||= String(boardId);
+    return pins;
   });
+}
 
-  try {
-    const endpoint = `https://api.pinterest.com/v5/boards?${params.toString()}`;
-    const pinterestRes = await fetchWithTimeout(endpoint, {
-      timeoutMs: 10000,
-      headers: {
-        Accept: "application/json",
-        Authorization: `Bearer ${accessToken}`
+// 集約（aggregate.js）の取得元 1 件分のピン
+function fetchSourcePins(api, src, limit) {
+  return src.sectionId
+    ? fetchSectionPins({ api, boardId: src.boardId, sectionId: src.sectionId, limit })
+    : fetchBoardPins({ api, boardId: src.boardId, limit });
+}
+
+/**
+ * 集約したピンを返す。?stream=1 なら NDJSON で届いたボードから順に送る:
+ *   {"type":"pins","items":[...]}  … 取得元ごと（それまでに送ったピンと重複しないもの）
+ *   {"type":"done","total":n,"partial":bool,"failed":[...]}  … 最後に 1 回
+ * 送るピンは通常の応答と同じ（aggregate.js の割り当て）。ストリームでは全体を並べ替えられないため、
+ * 届いた順に送る（並べ替えはクライアント側）。
+ * 1 件も届かなかった場合は通常の JSON で返す（すべて失敗ならそのエラー）。
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {{
+ *   api: any, sources: Array<{ boardId: string, sectionId?: string|null }>, limit: number,
+ *   boardNames?: Map<string, string>, failIfAllFailed?: boolean
+ * }} opt
+ */
+async function sendAggregatedPins(req, res, { api, sources, limit, boardNames, failIfAllFailed = false }) {
+  const stream = req.query.stream === '1';
+  let sent = 0;
+
+  const { items, failures } = await aggregatePins({
+    sources,
+    limit,
+    fetchPins: (src, n) => fetchSourcePins(api, src, n),
+    signal: api?.signal,
+    concurrency: AGGREGATE_CONCURRENCY,
+    onPins: stream ? (pins) => {
+      if (!sent) {
+        res.status(200);
+        res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+        res.setHeader('Cache-Control', 'no-store');
+        res.setHeader('X-Accel-Buffering', 'no'); // リバースプロキシにバッファさせない
       }
-    });
+      sent += pins.length;
+      res.write(`${JSON.stringify({ type: 'pins', items: pins })}\n`);
+    } : undefined
+  });
 
-    if (!pinterestRes.ok) {
-      const text = await pinterestRes.text();
-      console.error("Pinterest boards API error:", pinterestRes.status, text);
-      return res.status(502).json({ ok: false, error: "Pinterest API error (boards)" });
-    }
+  const failed = describeFailures(failures, boardNames);
+  if (sent) {
+    res.end(`${JSON.stringify({ type: 'done', total: sent, partial: failed.length > 0, failed })}\n`);
+    return;
+  }
 
-    const json = await pinterestRes.json();
-    const items = Array.isArray(json?.items)
-      ? json.items.map((b) => ({
-          id: String(b.id),
-          name: b.name || '',
-          description: b.description || ''
-        }))
-      : [];
+  // すべて失敗した場合は（401 ならログイン遷移できるよう）そのエラーを返す
+  if (failIfAllFailed && failures.length && failures.length === sources.length) throw failures[0].error;
+  res.json({ ok: true, source: provider.name, items, partial: failed.length > 0, failed });
+}
 
-    return res.json({ ok: true, items });
+/**
+ * 集約で失敗した取得元を応答用に整える（UI の警告表示用。エラーの詳細は返さない）。
+ * reason: rate_limited（429）/ timeout（タイムアウト・締め切り超過）/ auth（401・403）/ error
+ * @param {Array<{ boardId: string, sectionId: string|null, error: any }>} failures
+ * @param {Map<string, string>} [boardNames]
+ */
+function describeFailures(failures, boardNames = new Map()) {
+  return failures.map(({ boardId, sectionId, error }) => {
+    const status = error instanceof PinterestApiError ? error.status : null;
+    const reason = status === 429 ? 'rate_limited'
+      : status === 401 || status === 403 ? 'auth'
+      : status == null && (error?.name === 'DeadlineError' || /timeout/i.test(String(error?.message))) ? 'timeout'
+      : 'error';
+    return { boardId, sectionId, name: boardNames.get(boardId) || null, status, reason };
+  });
+}
+
+// Pinterest のボード一覧の後ろにローカルフォルダのボードを足す。
+// トークンが無い・Pinterest に繋がらない場合はローカルのボードだけで続行する
+// （認証エラーはクライアントがログインへ遷移できるようそのまま投げる）。
+async function listBoardsWithLocal({ api, fetchBoards }) {
+  const local = localImages.listBoards();
+  if (!api) return local;
+  try {
+    return [...(await fetchBoards()), ...local];
   } catch (err) {
-    console.error("Pinterest boards request failed:", err);
-    return res.status(502).json({ ok: false, error: "Pinterest boards request failed" });
+    const authError = err instanceof PinterestApiError && (err.status === 401 || err.status === 403);
+    if (!local.length || authError) throw err;
+    console.warn('Pinterest boards unavailable, using local folders only:', err?.message || err);
+    return local;
   }
+}
+
+// "a,b" / ?boards=a&boards=b のどちらでも受け付ける
+function parseIdList(value) {
+  const list = Array.isArray(value) ? value : [value];
+  return list
+    .flatMap((v) => String(v ?? '').split(','))
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+  
+/* ============================================================
+   /api/config - クライアント向けの公開設定
+============================================================ */
+app.get('/api/config', (req, res) => {
+  res.json({
+    ok: true,
+    publicBaseUrl: publicBaseUrl(req),
+    loginUrl: `${publicBaseUrl(req)}/auth/login`,
+    logoutUrl: `${publicBaseUrl(req)}/auth/logout`
+  });
+});
+
+/* ============================================================
+   /api/me/session - ログイン状態（トークン自体は返さない）
+============================================================ */
+app.get('/api/me/session', async (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+
+  const localBoards = localImages.listBoards().length;
+  if (!provider.requiresAuth) {
+    return res.json({ ok: true, loggedIn: true, via: 'mock', source: provider.name, localBoards });
+  }
+
+  const accessToken = await getAccessToken(req);
+  const session = req.session;
+  const via = session?.accessToken ? 'session' : (accessToken ? 'env' : null);
+
+  return res.json({
+    ok: true,
+    loggedIn: !!accessToken,
+    via,
+    source: provider.name,
+    expiresAt: via === 'session' ? session.expiresAt || null : null,
+    refreshable: via === 'session' ? canRefresh(session) : false,
+    localBoards
+  });
 });
 
 /* ============================================================
-   /api/me/pins - 自分の保存ピン一覧
+   /api/me/boards - ユーザーのボード一覧
 ============================================================ */
-app.get('/api/me/pins', async (req, res) => {
-  const accessToken =
-    dynamicAccessToken || process.env.PINTEREST_ACCESS_TOKEN;
-
-  if (!accessToken) {
-    return res.status(500).json({
-      ok: false,
-      error: "Access Token がありません。/auth/login で認証してください。"
+app.get('/api/me/boards', revalidate, async (req, res) => {
+  const api = await createAuthedApi(req);
+  if (!api && !localImages.enabled) return sendNoTokenError(res);
+
+  try {
+    const items = await listBoardsWithLocal({
+      api,
+      fetchBoards: () => withCache(api, ['me-boards'], async () =>
+        normalizeBoardsFromPinterest(await api.getBoardsPage({ pageSize: 100, timeoutMs: 10000 })))
     });
+    return res.json({ ok: true, source: provider.name, items });
+  } catch (err) {
+    return sendProviderError(res, err, 'Pinterest boards API');
   }
+});
+
+/* ============================================================
+   /api/me/pins - 自分の保存ピン一覧（?stream=1 で NDJSON）
+============================================================ */
+app.get('/api/me/pins', revalidate, async (req, res) => {
+  const api = await createAuthedApi(req);
+  if (!api && !localImages.enabled) return sendNoTokenError(res);
 
   try {
     // NOTE:
@@ -317,106 +624,111 @@ app.get('/api/me/pins', async (req, res) => {
     const rawLimit = Number(req.query.limit || 120);
     const limit = Math.min(Math.max(rawLimit, 1), 500);
 
-    // 1) ボード一覧取得（最大100件+bookmark対応）
-    /** @type {Array<{id:string,name:string}>} */
-    const boards = [];
-    let bookmark = null;
-    let loops = 0;
-
-    while (boards.length < 500 && loops < 20) {
-      loops += 1;
-      const params = new URLSearchParams({ page_size: '100' });
-      if (bookmark) params.set('bookmark', String(bookmark));
-      const endpoint = `https://api.pinterest.com/v5/boards?${params.toString()}`;
-      const pinterestRes = await fetchWithTimeout(endpoint, {
-        timeoutMs: 10000,
-        headers: {
-          Accept: 'application/json',
-          Authorization: `Bearer ${accessToken}`
-        }
-      });
-      if (!pinterestRes.ok) {
-        const text = await pinterestRes.text().catch(() => '');
-        console.error('Pinterest boards API error:', pinterestRes.status, text);
-        return res.status(502).json({ ok: false, error: 'Pinterest API error (boards)' });
-      }
-      const json = await pinterestRes.json();
-      const items = Array.isArray(json?.items) ? json.items : [];
-      for (const b of items) {
-        if (!b?.id) continue;
-        boards.push({ id: String(b.id), name: b.name || '' });
-      }
-      bookmark = json?.bookmark || json?.next_bookmark || null;
-      if (!bookmark) break;
-    }
+    // 1) ボード一覧取得（最大100件+bookmark対応）。ローカルフォルダのボードも含める
+    const boards = await listBoardsWithLocal({ api, fetchBoards: () => fetchAllBoards({ api }) });
 
     if (!boards.length) {
-      return res.json({ ok: true, items: [] });
+      return res.json({ ok: true, source: provider.name, items: [] });
     }
 
-    // 2) 各ボードの pins を順に集約（上限 limit）
-    /** @type {Array<{id:string,title:string,link:string|null,image:string}>} */
-    const out = [];
-    const seen = new Set();
+    // 2) 件数をボードに均等に割り当てて pins を並行に集約し、保存日時でボードをまたいで並べ替える
+    //    （?stream=1 なら同じピンを届いた順に送る）
+    //    （一部ボードが失敗しても全体は継続し、失敗したボードは partial / failed で知らせる）
+    return await sendAggregatedPins(req, res, {
+      api,
+      sources: boards.map((b) => ({ boardId: b.id })),
+      limit,
+      boardNames: new Map(boards.map((b) => [b.id, b.name]))
+    });
+  } catch (err) {
+    return sendProviderError(res, err, 'Pinterest my pins');
+  }
+});
 
-    for (const b of boards) {
-      if (out.length >= limit) break;
-      try {
-        const pins = await fetchPinsPaged({
-          endpointBase: `https://api.pinterest.com/v5/boards/${encodeURIComponent(b.id)}/pins`,
-          accessToken,
-          limit: Math.min(200, limit - out.length),
-          timeoutMs: 10000
-        });
-        for (const p of pins) {
-          if (out.length >= limit) break;
-          if (seen.has(p.id)) continue;
-          seen.add(p.id);
-          out.push(p);
-        }
-      } catch (e) {
-        // 一部ボードが失敗しても全体は継続
-        console.warn('Board pins fetch failed:', b.id, e?.message || e);
-      }
-    }
+/* ============================================================
+   /api/boards/:boardId/pins - 特定ボードの保存ピン
+============================================================ */
+app.get('/api/boards/:boardId/pins', revalidate, async (req, res) => {
+  const boardId = req.params.boardId;
+  const api = await createAuthedApi(req);
+  if (!api && !localImages.hasBoard(boardId)) return sendNoTokenError(res);
 
-    return res.json({ ok: true, items: out.slice(0, limit) });
+  const rawLimit = Number(req.query.limit || 120);
+  const limit = Math.min(Math.max(rawLimit, 1), 500);
+
+  try {
+    const items = await fetchBoardPins({ api, boardId, limit });
+    return res.json({ ok: true, source: provider.name, items });
   } catch (err) {
-    console.error("Pinterest my pins request failed:", err);
-    return res.status(502).json({ ok: false, error: "Pinterest my pins request failed" });
+    return sendProviderError(res, err, 'Pinterest board pins');
   }
 });
 
 /* ============================================================
-   /api/boards/:boardId/pins - 特定ボードの保存ピン
+   /api/boards/:boardId/sections - ボードのセクション一覧
 ============================================================ */
-app.get('/api/boards/:boardId/pins', async (req, res) => {
-  const accessToken =
-    dynamicAccessToken || process.env.PINTEREST_ACCESS_TOKEN;
-
-  if (!accessToken) {
-    return res.status(500).json({
-      ok: false,
-      error: "Access Token がありません。/auth/login で認証してください。"
-    });
+app.get('/api/boards/:boardId/sections', revalidate, async (req, res) => {
+  const api = await createAuthedApi(req);
+  if (!api && !localImages.hasBoard(req.params.boardId)) return sendNoTokenError(res);
+
+  try {
+    const items = await fetchBoardSections({ api, boardId: req.params.boardId });
+    return res.json({ ok: true, source: provider.name, items });
+  } catch (err) {
+    return sendProviderError(res, err, 'Pinterest board sections');
   }
+});
+
+/* ============================================================
+   /api/boards/:boardId/sections/:sectionId/pins - セクションのピン
+============================================================ */
+app.get('/api/boards/:boardId/sections/:sectionId/pins', revalidate, async (req, res) => {
+  const { boardId, sectionId } = req.params;
+  const api = await createAuthedApi(req);
+  if (!api && !localImages.hasBoard(boardId)) return sendNoTokenError(res);
 
   const rawLimit = Number(req.query.limit || 120);
   const limit = Math.min(Math.max(rawLimit, 1), 500);
-  const boardId = req.params.boardId;
 
   try {
-    const items = await fetchPinsPaged({
-      endpointBase: `https://api.pinterest.com/v5/boards/${encodeURIComponent(boardId)}/pins`,
-      accessToken,
-      limit,
-      timeoutMs: 10000
-    });
+    const items = await fetchSectionPins({ api, boardId, sectionId, limit });
+    return res.json({ ok: true, source: provider.name, items });
+  } catch (err) {
+    return sendProviderError(res, err, 'Pinterest section pins');
+  }
+});
+
+/* ============================================================
+   /api/pins - 選択した複数のボード / セクションのピン
+   ?boards=<boardId>,<boardId>&sections=<boardId>:<sectionId>,...
+   ピン id で重複を除き、保存日時の新しい順で返す
+   （?stream=1 なら NDJSON で届いた順に送る。sendAggregatedPins を参照）
+============================================================ */
+app.get('/api/pins', revalidate, async (req, res) => {
+  const sources = [
+    ...parseIdList(req.query.boards).map((boardId) => ({ boardId })),
+    ...parseIdList(req.query.sections)
+      .map((v) => v.split(':'))
+      .filter(([boardId, sectionId]) => boardId && sectionId)
+      .map(([boardId, sectionId]) => ({ boardId, sectionId }))
+  ];
+  if (!sources.length) {
+    return res.status(400).json({ ok: false, error: 'boards or sections is required' });
+  }
+  if (sources.length > 100) {
+    return res.status(400).json({ ok: false, error: 'too many boards/sections (max 100)' });
+  }
+
+  const api = await createAuthedApi(req);
+  if (!api && !sources.every((s) => localImages.hasBoard(s.boardId))) return sendNoTokenError(res);
+
+  const rawLimit = Number(req.query.limit || 120);
+  const limit = Math.min(Math.max(rawLimit, 1), 500);
 
-    return res.json({ ok: true, items });
+  try {
+    return await sendAggregatedPins(req, res, { api, sources, limit, failIfAllFailed: true });
   } catch (err) {
-    console.error("Pinterest board pins request failed:", err);
-    return res.status(502).json({ ok: false, error: "Pinterest board pins request failed" });
+    return sendProviderError(res, err, 'Pinterest pins');
   }
 });
 
@@ -425,147 +737,219 @@ app.get('/api/boards/:boardId/pins', async (req, res) => {
 /* ============================================================
    /api/search (Pinterest API v5)
 ============================================================ */
-app.get('/api/search', async (req, res) => {
+app.get('/api/search', revalidate, async (req, res) => {
   const q = String(req.query.q || '').trim();
   const rawLimit = Number(req.query.limit || 60);
-  const limit = Math.min(Math.max(rawLimit, 1), 120);
+  const limit = Math.min(Math.max(rawLimit, 1), 500);
 
   if (!q) {
     return res.status(400).json({ ok: false, error: "q is required" });
   }
 
-  const accessToken =
-    dynamicAccessToken || process.env.PINTEREST_ACCESS_TOKEN;
-
-  if (!accessToken) {
-    return res.status(500).json({
-      ok: false,
-      error: "Access Token がありません。/auth/login で認証してください。"
-    });
-  }
-
-  const params = new URLSearchParams({
-    query: q,
-    page_size: String(Math.min(limit, 50))
-  });
+  const api = await createAuthedApi(req);
+  if (!api) return sendNoTokenError(res);
 
   try {
-    const endpoint = `https://api.pinterest.com/v5/search/pins?${params.toString()}`;
-    const pinterestRes = await fetchWithTimeout(endpoint, {
-      timeoutMs: 10000,
-      headers: {
-        Accept: "application/json",
-        Authorization: `Bearer ${accessToken}`
-      }
-    });
-
-    const text = await pinterestRes.text();
-
-    if (!pinterestRes.ok) {
-      console.error("Pinterest API error:", pinterestRes.status, text);
-      return res.status(502).json({
-        ok: false,
-        error: "Pinterest API error",
-        status: pinterestRes.status
-      });
-    }
-
-    const json = JSON.parse(text);
-    const normalized = normalizePinsFromPinterest(json);
-    const items = normalized.slice(0, limit);
+    // 1 ページ 50 件までなので、limit まで bookmark で辿る
+    const items = await withCache(api, ['search', q, limit], () => fetchPinsPaged({
+      limit,
+      fetchPage: ({ pageSize, bookmark }) =>
+        api.searchPinsPage({ query: q, pageSize, bookmark, timeoutMs: 10000 })
+    }));
 
-    return res.json({ ok: true, source: "pinterest-v5", items });
+    return res.json({ ok: true, source: provider.name, items });
 
   } catch (err) {
-    console.error("Pinterest API request failed:", err);
-    return res.status(502).json({ ok: false, error: "Pinterest API request failed" });
+    return sendProviderError(res, err, 'Pinterest API');
   }
 });
 
 /* ============================================================
-   /api/image-proxy - 画像の同一オリジンプロキシ
+   /api/image-proxy - 画像の同一オリジンプロキシ（＋サーバ側変換）
 
    目的:
    - ブラウザ側で canvas を用いたピクセル変換（グレースケール等）を
      行う際、外部画像（Pinterest / Unsplash など）を同一オリジンとして
      読み込めるようにする。
-
-   セキュリティ:
-   - オープンプロキシ化を避けるため、取得可能なホストを制限する。
+   - 変換パラメータ（gray / w / h / fmt / q、詳細は imageTransform.js）が付いていれば、
+     サーバで縮小・グレースケール化した画像を返す。ビューアや履歴サムネイルは
+     原寸の元画像ではなく、表示サイズに合わせたこの変換済み画像を読む。
+     url には /local-images/... も指定できる（変換時のみ意味がある）。
+
+   変換結果は IMAGE_CACHE_DIR にファイルで保存し、合計 IMAGE_CACHE_MAX_MB を超えたら
+   使われていないものから消す。レスポンスの X-Image-Cache は hit / miss。
+
+   セキュリティ（取得の検査は imageFetch.js）:
+   - オープンプロキシ化を避けるため、取得可能なホストを制限する
+     （IMAGE_PROXY_ALLOWED_HOSTS で追加できる）。リダイレクトは転送先ごとに検査し直す。
+   - 画像以外の応答・上限を超える本文は拒否する。
+   - クライアント（IP）ごとに 1 分あたり IMAGE_PROXY_RATE_LIMIT 回まで。
 ============================================================ */
 const ALLOWED_IMAGE_HOST_SUFFIXES = [
   '.pinimg.com',
   '.pinterest.com',
-  '.unsplash.com'
+  '.unsplash.com',
+  ...parseHostList(process.env.IMAGE_PROXY_ALLOWED_HOSTS)
 ];
 
-function isAllowedImageHost(hostname) {
-  const h = String(hostname || '').toLowerCase();
-  return ALLOWED_IMAGE_HOST_SUFFIXES.some((suf) => h.endsWith(suf));
+// 安全弁: 極端に大きいファイルは拒否（メモリ/帯域対策）
+const MAX_IMAGE_BYTES = 25 * 1024 * 1024;
+
+const imageFetcher = createImageFetcher({ hosts: ALLOWED_IMAGE_HOST_SUFFIXES, maxBytes: MAX_IMAGE_BYTES });
+
+const imageCache = createDiskCache({
+  dir: process.env.IMAGE_CACHE_DIR || path.join(os.tmpdir(), 'pinterval-image-cache'),
+  maxBytes: Math.max(Number(process.env.IMAGE_CACHE_MAX_MB) || 256, 1) * 1024 * 1024
+});
+
+// 履歴サムネイルを一度に読み込んでも当たらない程度の既定値（0 で無効）
+const imageProxyRateLimit = createRateLimiter({
+  limit: process.env.IMAGE_PROXY_RATE_LIMIT != null && process.env.IMAGE_PROXY_RATE_LIMIT !== ''
+    ? Number(process.env.IMAGE_PROXY_RATE_LIMIT)
+    : 600
+});
+
+/**
+ * url=/local-images/<boardId>/<相対パス> をローカルファイルに解決する。
+ * @returns {Promise<{ file: string, contentType: string, size: number, mtimeMs: number } | null>}
+ */
+async function resolveLocalImageUrl(raw) {
+  const m = /^\/local-images\/([^/?#]+)\/([^?#]+)$/.exec(raw);
+  if (!m) return null;
+  let boardId, rel;
+  try {
+    boardId = decodeURIComponent(m[1]);
+    rel = m[2].split('/').map(decodeURIComponent).join('/');
+  } catch {
+    return null;
+  }
+  const found = await localImages.resolveImageFile(boardId, rel);
+  if (!found) return null;
+  const st = await fs.promises.stat(found.file).catch(() => null);
+  return st ? { ...found, size: st.size, mtimeMs: st.mtimeMs } : null;
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
 }
 
-app.get('/api/image-proxy', async (req, res) => {
+app.get('/api/image-proxy', imageProxyRateLimit, async (req, res) => {
   const raw = String(req.query.url || '').trim();
   if (!raw) return res.status(400).send('url is required');
 
-  let u;
+  let transform;
   try {
-    u = new URL(raw);
-  } catch {
-    return res.status(400).send('invalid url');
+    transform = parseTransform(req.query);
+  } catch (err) {
+    return res.status(400).send(err.message);
   }
 
-  if (!(u.protocol === 'https:' || u.protocol === 'http:')) {
-    return res.status(400).send('unsupported protocol');
+  let local = null;
+  if (raw.startsWith('/local-images/')) {
+    local = await resolveLocalImageUrl(raw);
+    if (!local) return res.status(404).send('not found');
+  } else {
+    try {
+      imageFetcher.checkUrl(raw);
+    } catch (err) {
+      return res.status(err.status).send(err.message);
+    }
   }
 
-  if (!isAllowedImageHost(u.hostname)) {
-    return res.status(403).send('host not allowed');
+  if (transform) return sendTransformedImage(res, raw, transform, local);
+
+  if (local) {
+    res.setHeader('Content-Type', local.contentType);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    return res.sendFile(local.file, { dotfiles: 'allow', maxAge: '1h' });
   }
 
   try {
-    const upstream = await fetchWithTimeout(raw, {
-      timeoutMs: 15000,
-      headers: {
-        // 画像の取得を明示（上流の挙動が変わっても安全側に）
-        Accept: 'image/avif,image/webp,image/apng,image/*,*/*;q=0.8',
-        'User-Agent': 'Pinterval/1.0 (image-proxy)'
-      }
-    });
-
-    if (!upstream.ok) {
-      const text = await upstream.text().catch(() => '');
-      console.error('Image proxy upstream error:', upstream.status, text);
-      return res.status(502).send('upstream error');
-    }
-
-    const contentType = upstream.headers.get('content-type') || 'application/octet-stream';
-    const contentLength = upstream.headers.get('content-length');
-    const len = contentLength ? Number(contentLength) : 0;
-    // 安全弁: 極端に大きいファイルは拒否（メモリ/帯域対策）
-    if (len && len > 25 * 1024 * 1024) {
-      return res.status(413).send('image too large');
-    }
+    const image = await imageFetcher.open(raw, { signal: clientSignal(req) });
 
     res.status(200);
-    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Type', image.contentType);
     res.setHeader('Cache-Control', 'public, max-age=86400');
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('X-Content-Type-Options', 'nosniff');
 
-    // undici の body は Web ReadableStream
-    if (upstream.body) {
-      Readable.fromWeb(upstream.body).pipe(res);
-      return;
+    // 送信中に上限を超えた・上流が切れた場合は、途中まで送った応答ごと切断する
+    pipeline(image.body, res, (err) => {
+      if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') console.warn('Image proxy stream aborted:', err.message);
+    });
+
+  } catch (err) {
+    if (req.res.destroyed) return;
+    if (err.status) {
+      console.warn('Image proxy rejected:', err.status, err.message);
+      return res.status(err.status).send(err.message);
     }
+    console.error('Image proxy error:', err);
+    return res.status(502).send('image proxy failed');
+  }
+});
 
-    const ab = await upstream.arrayBuffer();
-    return res.end(Buffer.from(ab));
+/**
+ * 変換済み画像を返す（ディスクキャッシュにあればそれを、無ければ元画像を取得して変換）。
+ * @param {import('express').Response} res
+ * @param {string} raw
+ * @param {import('./imageTransform.js').ImageTransform} transform
+ * @param {{ file: string, size: number, mtimeMs: number } | null} local
+ */
+async function sendTransformedImage(res, raw, transform, local) {
+  // ローカル画像は差し替えられても古い変換結果を返さないよう、サイズと更新日時もキーに含める
+  const source = local ? `${raw}#${local.size}-${local.mtimeMs}` : raw;
+
+  try {
+    const { value, hit } = await imageCache.getOrCreate(transformKey(source, transform), async () => {
+      if (local && local.size > MAX_IMAGE_BYTES) throw httpError(413, 'image too large');
+      // 同じ変換を待つ他のクライアントがいるので、この接続の切断では中断しない
+      const input = local ? await fs.promises.readFile(local.file) : await imageFetcher.readBuffer(raw);
+      try {
+        return await applyTransform(input, transform);
+      } catch (err) {
+        if (err.status) throw err; // フィルタの処理待ちが多すぎる（503）など
+        throw httpError(415, `unsupported image (${err.message})`);
+      }
+    });
+
+    res.status(200);
+    res.setHeader('Content-Type', OUTPUT_TYPES[value.ext] || 'application/octet-stream');
+    res.setHeader('Cache-Control', local ? 'public, max-age=3600' : 'public, max-age=86400');
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('X-Image-Cache', hit ? 'hit' : 'miss');
+    return res.end(value.buffer);
 
   } catch (err) {
+    if (err.status) {
+      console.warn('Image transform failed:', err.status, err.message);
+      return res.status(err.status).send(err.message);
+    }
     console.error('Image proxy error:', err);
     return res.status(502).send('image proxy failed');
   }
+}
+
+/* ============================================================
+   /local-images/:boardId/<相対パス> - ローカルフォルダの画像
+
+   - LOCAL_IMAGE_DIRS のフォルダ内にある画像ファイルだけを返す
+     （.. やシンボリックリンクによるフォルダ外の参照、隠しファイル、画像以外の拡張子は 404）
+   - Content-Type は拡張子から決めた画像の MIME タイプに固定し、nosniff を付ける
+============================================================ */
+app.get('/local-images/:boardId/*', async (req, res) => {
+  const found = await localImages.resolveImageFile(req.params.boardId, req.params[0]);
+  if (!found) return res.status(404).send('not found');
+
+  res.setHeader('Content-Type', found.contentType);
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  // パスは検証済みなので、フォルダ自体が隠しフォルダ配下でも配信する
+  res.sendFile(found.file, { dotfiles: 'allow', maxAge: '1h' }, (err) => {
+    if (err && !res.headersSent) res.status(404).send('not found');
+  });
 });
 
 /* ============================================================
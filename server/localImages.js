@@ -0,0 +1,289 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import sharp from 'sharp';
+
+/* ============================================================
+   ローカル画像フォルダ（LOCAL_IMAGE_DIRS）
+
+   ディスク上の資料フォルダを「ボード」として扱う。
+   - 1 フォルダ = 1 ボード。直下のサブフォルダ（画像を含むもの）はセクションになる
+   - ピンは Pinterest と同じ正規化済みの形
+     { id, title, description, link, image, width, height, created_at, board_id, dominant_color }
+     で返す（image は /local-images/<boardId>/<相対パス>、created_at はファイルの更新日時）
+   - width / height は画像のヘッダから読む（EXIF の向きを反映。更新日時・サイズが変わらない限り読み直さない）。
+     読めない画像は null（絞り込みでは寸法不明として扱われる）
+   - 画像の配信は resolveImageFile で、フォルダ外への脱出（.. / シンボリックリンク）と
+     画像以外の拡張子を拒否する
+
+   LOCAL_IMAGE_DIRS はパス区切り（Linux/macOS は ":"、Windows は ";"）で複数指定できる。
+   "表示名=パス" とすると表示名を付けられる（省略時はフォルダ名）。
+============================================================ */
+
+/** 配信する拡張子と Content-Type（これ以外は一覧にも出さず、配信もしない） */
+export const LOCAL_IMAGE_TYPES = Object.freeze({
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.bmp': 'image/bmp'
+});
+
+export const LOCAL_BOARD_PREFIX = 'local-';
+
+// 巨大なフォルダを指定されても固まらないための上限
+const MAX_FILES_PER_BOARD = 5000;
+const MAX_DEPTH = 8;
+// 寸法を読むときに同時に開くファイル数
+const METADATA_CONCURRENCY = 8;
+
+/**
+ * @typedef {{ id: string, name: string, description: string, root: string }} LocalBoard
+ */
+
+/**
+ * "名前=パス" の並びを解釈する。存在しないフォルダは警告して除く。
+ * @param {string} value
+ * @returns {LocalBoard[]}
+ */
+export function parseLocalImageDirs(value) {
+  /** @type {LocalBoard[]} */
+  const boards = [];
+  const entries = String(value || '')
+    .split(path.delimiter)
+    .map((v) => v.trim())
+    .filter(Boolean);
+
+  for (const entry of entries) {
+    const eq = entry.indexOf('=');
+    const name = eq > 0 ? entry.slice(0, eq).trim() : '';
+    const dir = eq > 0 ? entry.slice(eq + 1).trim() : entry;
+
+    let root;
+    try {
+      root = fs.realpathSync(path.resolve(dir));
+      if (!fs.statSync(root).isDirectory()) throw new Error('not a directory');
+    } catch (e) {
+      console.warn(`LOCAL_IMAGE_DIRS: "${dir}" を読み込めないためスキップします (${e.message})`);
+      continue;
+    }
+
+    const id = LOCAL_BOARD_PREFIX + shortHash(root);
+    if (boards.some((b) => b.id === id)) continue;
+    boards.push({ id, name: name || path.basename(root), description: root, root });
+  }
+  return boards;
+}
+
+/**
+ * @param {{ dirs?: string }} opt  LOCAL_IMAGE_DIRS の値
+ */
+export function createLocalImageSource({ dirs = '' } = {}) {
+  const boards = parseLocalImageDirs(dirs);
+  if (boards.length) {
+    console.log(`LOCAL_IMAGE_DIRS: ${boards.map((b) => `${b.name} (${b.root})`).join(', ')}`);
+  }
+
+  /** @type {Map<string, { mtimeMs: number, size: number, width: number|null, height: number|null }>} 実ファイルのパス -> 寸法 */
+  const dimensions = new Map();
+
+  function findBoard(boardId) {
+    return boards.find((b) => b.id === String(boardId)) || null;
+  }
+
+  /** @param {{ full: string, mtimeMs: number, size: number }} file */
+  async function readDimensions(file) {
+    const cached = dimensions.get(file.full);
+    if (cached && cached.mtimeMs === file.mtimeMs && cached.size === file.size) return cached;
+    let width = null;
+    let height = null;
+    try {
+      const meta = await sharp(file.full).metadata();
+      // EXIF の向きが 5〜8 なら表示時は縦横が入れ替わる
+      const swap = (meta.orientation || 1) >= 5;
+      width = (swap ? meta.height : meta.width) || null;
+      height = (swap ? meta.width : meta.height) || null;
+    } catch (e) {
+      console.warn('Local image metadata failed:', file.full, e.message);
+    }
+    const entry = { mtimeMs: file.mtimeMs, size: file.size, width, height };
+    dimensions.set(file.full, entry);
+    return entry;
+  }
+
+  /**
+   * @param {LocalBoard} board
+   * @param {string} relDir  ボード内の相対フォルダ（'' ならボード全体）
+   * @param {number} limit
+   */
+  async function listPinsIn(board, relDir, limit) {
+    const start = path.join(board.root, relDir);
+    const files = await collectImageFiles(start, board.root);
+    files.sort((a, b) => b.mtimeMs - a.mtimeMs);
+    const picked = files.slice(0, limit);
+    const pins = [];
+    for (let i = 0; i < picked.length; i += METADATA_CONCURRENCY) {
+      const chunk = picked.slice(i, i + METADATA_CONCURRENCY);
+      const dims = await Promise.all(chunk.map(readDimensions));
+      chunk.forEach((f, k) => pins.push(toPin(board, f, dims[k])));
+    }
+    return pins;
+  }
+
+  return {
+    enabled: boards.length > 0,
+
+    /** @param {string} boardId */
+    hasBoard(boardId) {
+      return !!findBoard(boardId);
+    },
+
+    /** /api/me/boards と同じ { id, name, description } 形式 */
+    listBoards() {
+      return boards.map(({ id, name, description }) => ({ id, name, description }));
+    },
+
+    /** 直下のサブフォルダ（画像を含むもの）をセクションとして返す */
+    async listSections(boardId) {
+      const board = findBoard(boardId);
+      if (!board) throw notFound('Local board not found.');
+      const entries = await fs.promises.readdir(board.root, { withFileTypes: true });
+      const sections = [];
+      for (const ent of entries) {
+        if (!ent.isDirectory() || ent.name.startsWith('.')) continue;
+        // 画像が 1 枚も無いフォルダ（空のセクション）は出さない
+        const images = await collectImageFiles(path.join(board.root, ent.name), board.root, 1);
+        if (!images.length) continue;
+        sections.push({ id: sectionIdOf(ent.name), name: ent.name });
+      }
+      return sections.sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    /** ボード全体の画像を更新日時の新しい順に */
+    async listPins(boardId, { limit = 120 } = {}) {
+      const board = findBoard(boardId);
+      if (!board) throw notFound('Local board not found.');
+      return listPinsIn(board, '', limit);
+    },
+
+    async listSectionPins(boardId, sectionId, { limit = 120 } = {}) {
+      const board = findBoard(boardId);
+      if (!board) throw notFound('Local board not found.');
+      const entries = await fs.promises.readdir(board.root, { withFileTypes: true });
+      const dir = entries.find((ent) => ent.isDirectory() && sectionIdOf(ent.name) === String(sectionId));
+      if (!dir) throw notFound('Local section not found.');
+      return listPinsIn(board, dir.name, limit);
+    },
+
+    /**
+     * /local-images/<boardId>/<relPath> の実ファイルを解決する。
+     * フォルダ外を指す・画像でない・存在しない場合は null。
+     * @param {string} boardId
+     * @param {string} relPath  URL デコード済みの相対パス
+     * @returns {Promise<{ file: string, contentType: string } | null>}
+     */
+    async resolveImageFile(boardId, relPath) {
+      const board = findBoard(boardId);
+      if (!board) return null;
+
+      const rel = String(relPath || '');
+      if (!rel || rel.includes('\0') || path.isAbsolute(rel)) return null;
+      if (rel.split(/[\\/]/).some((seg) => seg === '..' || seg.startsWith('.'))) return null;
+
+      const contentType = LOCAL_IMAGE_TYPES[path.extname(rel).toLowerCase()];
+      if (!contentType) return null;
+
+      const candidate = path.resolve(board.root, rel);
+      if (!isInside(board.root, candidate)) return null;
+
+      try {
+        // シンボリックリンクでフォルダ外を指している場合も拒否する
+        const real = await fs.promises.realpath(candidate);
+        if (!isInside(board.root, real)) return null;
+        const st = await fs.promises.stat(real);
+        if (!st.isFile()) return null;
+        return { file: real, contentType };
+      } catch {
+        return null;
+      }
+    }
+  };
+}
+
+/**
+ * start 以下の画像ファイルを再帰的に集める（隠しファイル・フォルダは除く）。
+ * max 件集まったらやめる（画像があるかだけ調べるときは 1）。
+ * @returns {Promise<Array<{ full: string, rel: string, mtimeMs: number, size: number }>>} rel は root からの相対パス
+ */
+async function collectImageFiles(start, root, max = MAX_FILES_PER_BOARD) {
+  const out = [];
+
+  async function walk(dir, depth) {
+    if (depth > MAX_DEPTH || out.length >= max) return;
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (e) {
+      console.warn('Local folder read failed:', dir, e.message);
+      return;
+    }
+    for (const ent of entries) {
+      if (out.length >= max) return;
+      if (ent.name.startsWith('.')) continue;
+      const full = path.join(dir, ent.name);
+      if (ent.isDirectory()) {
+        await walk(full, depth + 1);
+      } else if (ent.isFile() && LOCAL_IMAGE_TYPES[path.extname(ent.name).toLowerCase()]) {
+        const st = await fs.promises.stat(full).catch(() => null);
+        if (st) out.push({ full, rel: path.relative(root, full), mtimeMs: st.mtimeMs, size: st.size });
+      }
+    }
+  }
+
+  await walk(start, 0);
+  return out;
+}
+
+/**
+ * @param {LocalBoard} board
+ * @param {{ rel: string, mtimeMs: number }} file
+ * @param {{ width: number|null, height: number|null }} dims
+ */
+function toPin(board, file, dims) {
+  const segments = file.rel.split(path.sep);
+  const fileName = segments[segments.length - 1];
+  return {
+    id: `${board.id}-${shortHash(file.rel)}`,
+    title: path.basename(fileName, path.extname(fileName)),
+    // 絞り込みのキーワードがフォルダ名にも当たるよう、相対フォルダを説明に入れる
+    description: segments.slice(0, -1).join('/'),
+    link: null,
+    image: `/local-images/${board.id}/${segments.map(encodeURIComponent).join('/')}`,
+    width: dims.width,
+    height: dims.height,
+    created_at: new Date(file.mtimeMs).toISOString(),
+    board_id: board.id,
+    dominant_color: null
+  };
+}
+
+function sectionIdOf(dirName) {
+  return `d${shortHash(dirName)}`;
+}
+
+function isInside(root, target) {
+  const rel = path.relative(root, target);
+  return !!rel && !rel.startsWith('..') && !path.isAbsolute(rel);
+}
+
+function shortHash(value) {
+  return crypto.createHash('sha1').update(String(value)).digest('hex').slice(0, 10);
+}
+
+function notFound(message) {
+  const err = new Error(message);
+  err.status = 404;
+  return err;
+}
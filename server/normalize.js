@@ -0,0 +1,118 @@
+import { parseCreatedAt } from '../public/pinOrder.js';
+
+/* ============================================================
+   Pinterest v5 レスポンスの正規化
+============================================================ */
+// media.images の各バリアントから一番大きいものを選ぶ。
+// 戻り値は { url, width, height }（width/height が無いバリアントは null）
+export function pickBestImageVariant(images) {
+  if (!images || typeof images !== "object") return null;
+
+  let best = null;
+  let bestScore = -1;
+
+  for (const [key, value] of Object.entries(images)) {
+    if (!value || !value.url) continue;
+
+    let score = 0;
+    const w = typeof value.width === "number" ? value.width : null;
+    const h = typeof value.height === "number" ? value.height : null;
+
+    if (w && h) {
+      // width/height がある場合は解像度で評価
+      score = w * h;
+    } else {
+      // フィールドに width/height が無い場合、キー名から数値を推測（例: "orig", "1200x", "600x900"）
+      const m = String(key).match(/(\d+)/);
+      if (m) {
+        score = parseInt(m[1], 10);
+      } else {
+        // 数字が取れないもの（"orig" など）は適度に高めのスコアを与える
+        score = 999999;
+      }
+    }
+
+    if (score > bestScore) {
+      bestScore = score;
+      best = { url: value.url, width: w, height: h };
+    }
+  }
+
+  return best;
+}
+
+// ピンの表示に使う画像（URL と、分かれば縦横のピクセル数）
+export function pickImageFromPin(pin) {
+  if (!pin || typeof pin !== "object") return null;
+
+  // Pinterest API v5 の仕様上、media.images に複数バリアントが入るため
+  // その中から「一番大きいもの」を選ぶ。
+  const mediaImages = pin.media?.images;
+  if (mediaImages) {
+    const best = pickBestImageVariant(mediaImages);
+    if (best) return best;
+  }
+
+  // 古い形式 / 互換フィールド images に対しても同様のロジックを適用
+  const images = pin.images;
+  if (images) {
+    const best = pickBestImageVariant(images);
+    if (best) return best;
+  }
+
+  // フォールバック
+  const url = pin.image_url || pin.thumbnail_url;
+  if (url) return { url, width: null, height: null };
+
+  return null;
+}
+
+export function pickImageUrlFromPin(pin) {
+  return pickImageFromPin(pin)?.url || null;
+}
+
+export function normalizePinsFromPinterest(json) {
+  const items = Array.isArray(json?.items) ? json.items : [];
+  return items
+    .map((p) => {
+      const picked = pickImageFromPin(p);
+      const image = picked?.url || null;
+      const createdAt = parseCreatedAt(p.created_at);
+      return {
+        id: String(p.id || image || Math.random()),
+        title: p.title || p.description || p.alt_text || '',
+        // キーワード絞り込み用（タイトルが説明文の流用なら同じ文字列になる）
+        description: p.description || p.alt_text || '',
+        link: p.link || null,
+        image,
+        width: picked?.width ?? null,
+        height: picked?.height ?? null,
+        // ボードへの保存日時（UTC の ISO 文字列に揃える）
+        created_at: createdAt != null ? new Date(createdAt).toISOString() : null,
+        board_id: p.board_id ? String(p.board_id) : null,
+        dominant_color: p.dominant_color || null
+      };
+    })
+    .filter((p) => !!p.image);
+}
+
+export function normalizeBoardsFromPinterest(json) {
+  const items = Array.isArray(json?.items) ? json.items : [];
+  return items
+    .filter((b) => b?.id)
+    .map((b) => ({
+      id: String(b.id),
+      name: b.name || '',
+      description: b.description || ''
+    }));
+}
+
+export function normalizeSectionsFromPinterest(json) {
+  const items = Array.isArray(json?.items) ? json.items : [];
+  return items
+    .filter((s) => s?.id)
+    .map((s) => ({
+      id: String(s.id),
+      name: s.name || ''
+    }));
+}
@@ -0,0 +1,110 @@
+import { fetchWithTimeout } from './http.js';
+import { PinterestApiError } from './providers/errors.js';
+
+const TOKEN_ENDPOINT = 'https://api.pinterest.com/v5/oauth/token';
+
+// 失効のこの時間前になったら先回りして更新する
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+/* ============================================================
+   Pinterest OAuth2 トークン操作
+============================================================ */
+
+/**
+ * /v5/oauth/token を呼び出してトークン応答 JSON を返す。
+ * @param {{ clientId: string, clientSecret: string, params: Record<string,string> }} opt
+ */
+export async function requestToken({ clientId, clientSecret, params }) {
+  const basicAuth = Buffer
+    .from(`${clientId}:${clientSecret}`)
+    .toString("base64");
+
+  const tokenRes = await fetchWithTimeout(TOKEN_ENDPOINT, {
+    method: "POST",
+    timeoutMs: 10000,
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded",
+      "Authorization": `Basic ${basicAuth}`,
+      "Accept": "application/json"
+    },
+    body: new URLSearchParams(params).toString()
+  });
+
+  const text = await tokenRes.text();
+  if (!tokenRes.ok) {
+    throw new PinterestApiError(tokenRes.status, `Pinterest token error: ${tokenRes.status}`, { details: text });
+  }
+
+  const data = JSON.parse(text);
+  if (!data.access_token) {
+    throw new PinterestApiError(502, 'Pinterest token response has no access_token', { details: text });
+  }
+  return data;
+}
+
+/**
+ * トークン応答をセッションへ保存する。
+ * refresh_token が省略された応答では既存の値を引き継ぐ。
+ */
+export function storeTokenInSession(session, data, now = Date.now()) {
+  session.accessToken = data.access_token;
+  if (data.refresh_token) session.refreshToken = data.refresh_token;
+  session.expiresAt = Number(data.expires_in) > 0
+    ? now + Number(data.expires_in) * 1000
+    : null;
+  if (Number(data.refresh_token_expires_in) > 0) {
+    session.refreshTokenExpiresAt = now + Number(data.refresh_token_expires_in) * 1000;
+  }
+}
+
+export function clearTokenInSession(session) {
+  delete session.accessToken;
+  delete session.refreshToken;
+  delete session.expiresAt;
+  delete session.refreshTokenExpiresAt;
+}
+
+export function canRefresh(session, now = Date.now()) {
+  if (!session?.refreshToken) return false;
+  return !session.refreshTokenExpiresAt || session.refreshTokenExpiresAt > now;
+}
+
+export function isExpiringSoon(session, now = Date.now()) {
+  return !!session?.expiresAt && session.expiresAt - now < REFRESH_MARGIN_MS;
+}
+
+/**
+ * refresh_token でアクセストークンを更新する。
+ * 同じセッションで同時に呼ばれた場合は 1 回の更新を共有する。
+ * 更新に失敗したらセッションのトークンを破棄し、401 として投げ直す。
+ *
+ * @param {Record<string, any>} session
+ * @param {{ clientId: string, clientSecret: string }} client
+ * @returns {Promise<string>} 新しいアクセストークン
+ */
+export function refreshSessionToken(session, client) {
+  if (session.refreshing) return session.refreshing;
+
+  const p = (async () => {
+    try {
+      const data = await requestToken({
+        ...client,
+        params: {
+          grant_type: 'refresh_token',
+          refresh_token: session.refreshToken
+        }
+      });
+      storeTokenInSession(session, data);
+      return session.accessToken;
+    } catch (err) {
+      console.error('Pinterest token refresh failed:', err?.status, err?.details || err);
+      clearTokenInSession(session);
+      throw new PinterestApiError(401, 'Pinterest token refresh failed');
+    } finally {
+      delete session.refreshing;
+    }
+  })();
+
+  session.refreshing = p;
+  return p;
+}
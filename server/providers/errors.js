@@ -0,0 +1,18 @@
+/**
+ * Pinterest（またはモック）からエラー応答が返ったことを表す。
+ * status には上流の HTTP ステータスをそのまま保持する。
+ */
+export class PinterestApiError extends Error {
+  /**
+   * @param {number} status
+   * @param {string} message
+   * @param {{ details?: string, retryAfter?: string|null }} [opt]
+   */
+  constructor(status, message, opt = {}) {
+    super(message);
+    this.name = 'PinterestApiError';
+    this.status = status;
+    this.details = opt.details || '';
+    this.retryAfter = opt.retryAfter ?? null;
+  }
+}
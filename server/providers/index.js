@@ -0,0 +1,13 @@
+import { createPinterestProvider } from './pinterest.js';
+import { createMockProvider } from './mock.js';
+
+export { PinterestApiError } from './errors.js';
+
+/**
+ * 環境変数に応じて Pinterest 実 API かモックのプロバイダを返す。
+ * @param {{ useMock: boolean, fixturesDir: string, scenario?: string }} opt
+ */
+export function createProvider({ useMock, fixturesDir, scenario }) {
+  if (useMock) return createMockProvider({ fixturesDir, scenario });
+  return createPinterestProvider();
+}
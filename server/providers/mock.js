@@ -0,0 +1,154 @@
+import fs from 'fs';
+import { PinterestApiError } from './errors.js';
+
+/* ============================================================
+   モックプロバイダ（USE_MOCK=1）
+
+   public/mock/ のフィクスチャから Pinterest v5 と同じ形の
+   レスポンス（{ items, bookmark }）を組み立てて返す。
+   ネットワークにもアクセストークンにも依存しない。
+
+   - boards.json : ボード一覧と各ボードのピン（sample.json と同じ {id,title,link,image} 形式。
+                   任意で created_at / width / height / dominant_color も指定できる）
+   - sample.json : 検索で何もヒットしなかったときの結果
+   - MOCK_SCENARIO=<errors のキー> で全リクエストをそのエラーにできる
+     （例: unauthorized → 401 でログイン遷移を確認）
+   - ボードに "error" を指定すると、そのボードのピン取得だけが失敗する
+   - ボードの "sections" は [{ id, name, pins: [ピン id, ...] }]（セクション別のピン取得用）
+============================================================ */
+export function createMockProvider({ fixturesDir, scenario = '' }) {
+  const boardsFixture = readJson(`${fixturesDir}/boards.json`);
+  const sampleFixture = readJson(`${fixturesDir}/sample.json`);
+
+  /** @type {Array<{id:string,name:string,description?:string,error?:string,items:any[]}>} */
+  const boards = Array.isArray(boardsFixture?.boards) ? boardsFixture.boards : [];
+  const errors = boardsFixture?.errors || {};
+  const sampleItems = Array.isArray(sampleFixture?.items) ? sampleFixture.items : [];
+
+  if (scenario && !errors[scenario]) {
+    console.warn(`Unknown MOCK_SCENARIO "${scenario}" (available: ${Object.keys(errors).join(', ')})`);
+  }
+
+  function throwIfError(key) {
+    const e = key ? errors[key] : null;
+    if (!e) return;
+    const body = JSON.stringify({ code: e.code ?? 0, message: e.message || '' });
+    throw new PinterestApiError(
+      Number(e.status) || 500,
+      `Pinterest API error: ${e.status}`,
+      { details: body, retryAfter: e.retryAfter ?? null }
+    );
+  }
+
+  function findBoard(boardId) {
+    const board = boards.find((b) => b.id === String(boardId));
+    if (!board) throw notFound('Board not found.');
+    return board;
+  }
+
+  async function respond(list, { pageSize, bookmark }) {
+    throwIfError(scenario);
+    // 実 API と同じく非同期で返す
+    await Promise.resolve();
+    return paginate(list, pageSize, bookmark);
+  }
+
+  return {
+    name: 'mock',
+    requiresAuth: false,
+
+    getBoardsPage({ pageSize = 100, bookmark = null }) {
+      const list = boards.map((b) => ({
+        id: b.id,
+        name: b.name,
+        description: b.description || '',
+        pin_count: Array.isArray(b.items) ? b.items.length : 0
+      }));
+      return respond(list, { pageSize, bookmark });
+    },
+
+    async getBoardPinsPage({ boardId, pageSize = 50, bookmark = null }) {
+      throwIfError(scenario);
+      const board = findBoard(boardId);
+      throwIfError(board.error);
+      return respond((board.items || []).map((it) => toPinterestPin(it, board.id)), { pageSize, bookmark });
+    },
+
+    async getBoardSectionsPage({ boardId, pageSize = 100, bookmark = null }) {
+      throwIfError(scenario);
+      const board = findBoard(boardId);
+      const list = (board.sections || []).map((s) => ({ id: s.id, name: s.name }));
+      return respond(list, { pageSize, bookmark });
+    },
+
+    async getSectionPinsPage({ boardId, sectionId, pageSize = 50, bookmark = null }) {
+      throwIfError(scenario);
+      const board = findBoard(boardId);
+      const section = (board.sections || []).find((s) => s.id === String(sectionId));
+      if (!section) throw notFound('Section not found.');
+      throwIfError(board.error);
+      const ids = new Set(section.pins || []);
+      const list = (board.items || []).filter((it) => ids.has(it.id)).map((it) => toPinterestPin(it, board.id));
+      return respond(list, { pageSize, bookmark });
+    },
+
+    searchPinsPage({ query, pageSize = 50, bookmark = null }) {
+      const q = String(query || '').toLowerCase();
+      const hits = [];
+      for (const b of boards) {
+        for (const it of b.items || []) {
+          const hay = `${it.title || ''} ${b.name || ''} ${b.description || ''}`.toLowerCase();
+          if (q && hay.includes(q)) hits.push(toPinterestPin(it, b.id));
+        }
+      }
+      const list = hits.length ? hits : sampleItems.map((it) => toPinterestPin(it, null));
+      return respond(list, { pageSize, bookmark });
+    }
+  };
+}
+
+function notFound(message) {
+  return new PinterestApiError(404, 'Pinterest API error: 404', {
+    details: JSON.stringify({ code: 40, message })
+  });
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    console.warn('Failed to read mock fixture:', file, e?.message || e);
+    return null;
+  }
+}
+
+// フィクスチャの {id,title,link,image,...} を v5 のピン形式へ戻す
+function toPinterestPin(it, boardId) {
+  const orig = { url: it.image };
+  if (it.width && it.height) Object.assign(orig, { width: it.width, height: it.height });
+  return {
+    id: it.id,
+    created_at: it.created_at || null,
+    board_id: boardId,
+    title: it.title || '',
+    description: it.description || '',
+    link: it.link || null,
+    dominant_color: it.dominant_color || null,
+    media: {
+      media_type: 'image',
+      images: { orig }
+    }
+  };
+}
+
+// bookmark は「次ページの開始位置」を文字列化したもの
+function paginate(list, pageSize, bookmark) {
+  const size = Math.min(Math.max(Number(pageSize) || 25, 1), 250);
+  const m = String(bookmark || '').match(/^mock:(\d+)$/);
+  const start = m ? parseInt(m[1], 10) : 0;
+  const end = start + size;
+  return {
+    items: list.slice(start, end),
+    bookmark: end < list.length ? `mock:${end}` : null
+  };
+}
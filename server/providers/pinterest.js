@@ -0,0 +1,84 @@
+import { fetchWithTimeout } from '../http.js';
+import { PinterestApiError } from './errors.js';
+
+const API_BASE = 'https://api.pinterest.com/v5';
+
+/* ============================================================
+   Pinterest API v5 プロバイダ
+
+   各メソッドは v5 のレスポンス JSON（{ items, bookmark }）を
+   そのまま返す。正規化・ページ集約は呼び出し側で行う。
+   signal / deadline は fetchWithTimeout にそのまま渡す
+   （429・5xx の再試行と、クライアント切断時の中断に使う）。
+============================================================ */
+export function createPinterestProvider() {
+  async function getJson(pathname, params, { accessToken, timeoutMs = 10000, signal, deadline }) {
+    const qs = new URLSearchParams();
+    for (const [k, v] of Object.entries(params)) {
+      if (v != null && v !== '') qs.set(k, String(v));
+    }
+    const endpoint = `${API_BASE}${pathname}?${qs.toString()}`;
+
+    const pinterestRes = await fetchWithTimeout(endpoint, {
+      timeoutMs,
+      signal,
+      deadline,
+      headers: {
+        Accept: 'application/json',
+        Authorization: `Bearer ${accessToken}`
+      }
+    });
+
+    if (!pinterestRes.ok) {
+      const text = await pinterestRes.text().catch(() => '');
+      throw new PinterestApiError(
+        pinterestRes.status,
+        `Pinterest API error: ${pinterestRes.status}`,
+        { details: text, retryAfter: pinterestRes.headers.get('retry-after') }
+      );
+    }
+
+    return pinterestRes.json();
+  }
+
+  return {
+    name: 'pinterest-v5',
+    requiresAuth: true,
+
+    getBoardsPage({ pageSize = 100, bookmark = null, ...req }) {
+      return getJson('/boards', { page_size: pageSize, bookmark }, req);
+    },
+
+    getBoardPinsPage({ boardId, pageSize = 50, bookmark = null, ...req }) {
+      return getJson(
+        `/boards/${encodeURIComponent(boardId)}/pins`,
+        { page_size: pageSize, bookmark },
+        req
+      );
+    },
+
+    getBoardSectionsPage({ boardId, pageSize = 100, bookmark = null, ...req }) {
+      return getJson(
+        `/boards/${encodeURIComponent(boardId)}/sections`,
+        { page_size: pageSize, bookmark },
+        req
+      );
+    },
+
+    getSectionPinsPage({ boardId, sectionId, pageSize = 50, bookmark = null, ...req }) {
+      return getJson(
+        `/boards/${encodeURIComponent(boardId)}/sections/${encodeURIComponent(sectionId)}/pins`,
+        { page_size: pageSize, bookmark },
+        req
+      );
+    },
+
+    searchPinsPage({ query, pageSize = 50, bookmark = null, ...req }) {
+      return getJson(
+        '/search/pins',
+        { query, page_size: pageSize, bookmark },
+        req
+      );
+    }
+  };
+}
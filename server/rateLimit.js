@@ -0,0 +1,51 @@
+/* ============================================================
+   クライアントごとの簡易レート制限（固定ウィンドウ）
+
+   - windowMs ごとに limit 回まで。超えたら 429 と Retry-After を返す
+   - 残り回数は X-RateLimit-Limit / X-RateLimit-Remaining / X-RateLimit-Reset（エポック秒）で知らせる
+   - クライアントの識別は既定で req.ip（リバースプロキシの後ろでは TRUST_PROXY の設定が必要）
+   - limit が 0 以下なら何もしない
+============================================================ */
+
+/**
+ * @param {{ limit: number, windowMs?: number, keyOf?: (req: import('express').Request) => string }} opt
+ * @returns {import('express').RequestHandler}
+ */
+export function createRateLimiter({ limit, windowMs = 60 * 1000, keyOf = (req) => req.ip }) {
+  /** @type {Map<string, { count: number, resetAt: number }>} */
+  const counters = new Map();
+
+  if (limit > 0) {
+    // 期限の過ぎたカウンタを定期的に捨てる（来なくなったクライアントの分が溜まらないように）
+    const sweep = setInterval(() => {
+      const now = Date.now();
+      for (const [key, c] of counters) {
+        if (c.resetAt <= now) counters.delete(key);
+      }
+    }, windowMs);
+    sweep.unref();
+  }
+
+  return function rateLimit(req, res, next) {
+    if (!(limit > 0)) return next();
+
+    const now = Date.now();
+    const key = keyOf(req) || 'unknown';
+    let c = counters.get(key);
+    if (!c || c.resetAt <= now) {
+      c = { count: 0, resetAt: now + windowMs };
+      counters.set(key, c);
+    }
+    c.count++;
+
+    res.setHeader('X-RateLimit-Limit', String(limit));
+    res.setHeader('X-RateLimit-Remaining', String(Math.max(0, limit - c.count)));
+    res.setHeader('X-RateLimit-Reset', String(Math.ceil(c.resetAt / 1000)));
+
+    if (c.count > limit) {
+      res.setHeader('Retry-After', String(Math.max(1, Math.ceil((c.resetAt - now) / 1000))));
+      return res.status(429).send('too many requests');
+    }
+    next();
+  };
+}
@@ -0,0 +1,121 @@
+import fs from 'fs';
+import path from 'path';
+
+/* ============================================================
+   Pinterest 応答の TTL キャッシュ
+
+   - キーは呼び出し側で組み立てる（ユーザー・ルート・ボード・件数など）
+   - 期限（ttlMs）を過ぎたエントリは読み出し時に捨てる
+   - 件数が maxEntries を超えたら、最も長く使われていないものから捨てる（LRU）
+   - file を指定すると JSON に保存し、次回起動時に期限内のエントリを読み戻す
+     （書き込みは set からまとめて遅延実行）
+============================================================ */
+
+const SAVE_DELAY_MS = 2000;
+const FILE_VERSION = 1;
+
+/**
+ * @param {{ ttlMs: number, maxEntries: number, file?: string }} opt
+ */
+export function createResponseCache({ ttlMs, maxEntries, file = '' }) {
+  /** @type {Map<string, { value: any, expiresAt: number }>} 挿入順 = 使用順（古い順） */
+  const entries = new Map();
+  let saveTimer = null;
+
+  if (file) load();
+
+  function load() {
+    let json;
+    try {
+      json = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.warn(`CACHE_FILE "${file}" を読み込めませんでした (${e.message})`);
+      return;
+    }
+    if (json?.version !== FILE_VERSION || !Array.isArray(json.entries)) return;
+
+    const now = Date.now();
+    for (const [key, entry] of json.entries) {
+      if (typeof key !== 'string' || !(entry?.expiresAt > now)) continue;
+      entries.set(key, { value: entry.value, expiresAt: entry.expiresAt });
+    }
+    evict();
+    console.log(`CACHE_FILE: ${entries.size} 件のキャッシュを読み込みました`);
+  }
+
+  function save() {
+    saveTimer = null;
+    const now = Date.now();
+    const live = [...entries].filter(([, e]) => e.expiresAt > now);
+    const tmp = `${file}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      // トークン由来のキーや取得結果を含むので本人だけが読めるようにする
+      fs.writeFileSync(tmp, JSON.stringify({ version: FILE_VERSION, entries: live }), { mode: 0o600 });
+      fs.renameSync(tmp, file);
+    } catch (e) {
+      console.warn(`CACHE_FILE "${file}" に保存できませんでした (${e.message})`);
+    }
+  }
+
+  function scheduleSave() {
+    if (!file || saveTimer) return;
+    saveTimer = setTimeout(save, SAVE_DELAY_MS);
+    saveTimer.unref();
+  }
+
+  function evict() {
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  /** @param {string} key @returns {any} 無い・期限切れなら undefined */
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    entries.delete(key);
+    if (entry.expiresAt <= Date.now()) {
+      scheduleSave();
+      return undefined;
+    }
+    entries.set(key, entry); // 使用順の末尾へ
+    return entry.value;
+  }
+
+  /** @param {string} key @param {any} value JSON にできる値 */
+  function set(key, value) {
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    evict();
+    scheduleSave();
+  }
+
+  return {
+    get,
+    set,
+
+    /**
+     * key のキャッシュを返し、無ければ load() の結果を保存して返す。失敗（例外）はキャッシュしない。
+     * refresh なら（?refresh=1）キャッシュを見ずに load() し、結果でキャッシュを更新する。
+     * @template T
+     * @param {string} key
+     * @param {() => Promise<T>} load
+     * @param {{ refresh?: boolean }} [opt]
+     * @returns {Promise<T>}
+     */
+    async getOrLoad(key, load, { refresh = false } = {}) {
+      if (!refresh) {
+        const hit = get(key);
+        if (hit !== undefined) return hit;
+      }
+      const value = await load();
+      set(key, value);
+      return value;
+    },
+
+    get size() {
+      return entries.size;
+    }
+  };
+}
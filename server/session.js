@@ -0,0 +1,144 @@
+import crypto from 'crypto';
+
+/* ============================================================
+   署名付き Cookie セッション
+
+   - Cookie にはランダムなセッション ID と HMAC 署名だけを載せ、
+     アクセストークン等の中身はサーバのメモリに保持する。
+   - 署名が一致しない Cookie は無視する（改ざん・推測対策）。
+   - 最終アクセスから ttlMs 経過したセッションは破棄する。
+============================================================ */
+
+/**
+ * @param {{
+ *   secret: string, cookieName?: string, ttlMs?: number,
+ *   secure?: boolean | ((req: import('express').Request) => boolean)
+ * }} opt
+ *   secure: Cookie に Secure を付けるか（リクエストごとに決める場合は関数）
+ */
+export function createSessionStore(opt) {
+  const {
+    secret,
+    cookieName = 'pinterval_sid',
+    ttlMs = 30 * 24 * 60 * 60 * 1000,
+    secure = false
+  } = opt;
+
+  if (!secret) throw new Error('session secret is required');
+
+  /** @type {Map<string, { data: Record<string, any>, touchedAt: number }>} */
+  const sessions = new Map();
+
+  function sign(sid) {
+    return crypto.createHmac('sha256', secret).update(sid).digest('base64url');
+  }
+
+  function verify(value) {
+    const i = String(value || '').lastIndexOf('.');
+    if (i <= 0) return null;
+    const sid = value.slice(0, i);
+    const sig = Buffer.from(value.slice(i + 1));
+    const expected = Buffer.from(sign(sid));
+    if (sig.length !== expected.length) return null;
+    return crypto.timingSafeEqual(sig, expected) ? sid : null;
+  }
+
+  function setCookie(res, value, maxAgeMs) {
+    const parts = [
+      `${cookieName}=${value}`,
+      'Path=/',
+      'HttpOnly',
+      'SameSite=Lax',
+      `Max-Age=${Math.floor(maxAgeMs / 1000)}`
+    ];
+    if (typeof secure === 'function' ? secure(res.req) : secure) parts.push('Secure');
+    res.append('Set-Cookie', parts.join('; '));
+  }
+
+  function sweep(now) {
+    for (const [sid, s] of sessions) {
+      if (now - s.touchedAt > ttlMs) sessions.delete(sid);
+    }
+  }
+
+  /**
+   * 新しいセッションを発行して Cookie を設定する。
+   * 既存セッションがあれば破棄する（セッション固定攻撃対策）。
+   * @returns {Record<string, any>}
+   */
+  function create(req, res) {
+    if (req.sessionId) sessions.delete(req.sessionId);
+    const sid = crypto.randomBytes(24).toString('base64url');
+    const data = {};
+    sessions.set(sid, { data, touchedAt: Date.now() });
+    setCookie(res, `${sid}.${sign(sid)}`, ttlMs);
+    req.sessionId = sid;
+    req.session = data;
+    return data;
+  }
+
+  // 期限切れセッションを定期的に掃除（プロセス終了を妨げない）
+  setInterval(() => sweep(Date.now()), 10 * 60 * 1000).unref();
+
+  return {
+    /**
+     * req.session にセッションデータ（無ければ null）を載せる。
+     */
+    middleware(req, res, next) {
+      const raw = parseCookies(req.headers.cookie)[cookieName];
+      const sid = raw ? verify(raw) : null;
+      const entry = sid ? sessions.get(sid) : null;
+      const now = Date.now();
+
+      if (entry && now - entry.touchedAt <= ttlMs) {
+        entry.touchedAt = now;
+        req.sessionId = sid;
+        req.session = entry.data;
+      } else {
+        if (sid) sessions.delete(sid);
+        req.sessionId = null;
+        req.session = null;
+      }
+      next();
+    },
+
+    create,
+
+    /**
+     * 既存のセッションがあればそのまま、無ければ新しく発行して返す。
+     * ログイン開始（/auth/login）のように、保存済みのトークンを残したまま値を足したいとき用。
+     * @returns {Record<string, any>}
+     */
+    ensure(req, res) {
+      return req.session || create(req, res);
+    },
+
+    /**
+     * セッションを破棄して Cookie を消す。
+     */
+    destroy(req, res) {
+      if (req.sessionId) sessions.delete(req.sessionId);
+      setCookie(res, '', 0);
+      req.sessionId = null;
+      req.session = null;
+    }
+  };
+}
+
+function parseCookies(header) {
+  /** @type {Record<string, string>} */
+  const out = {};
+  for (const part of String(header || '').split(';')) {
+    const i = part.indexOf('=');
+    if (i < 0) continue;
+    const k = part.slice(0, i).trim();
+    const v = part.slice(i + 1).trim();
+    if (!k || k in out) continue;
+    try {
+      out[k] = decodeURIComponent(v);
+    } catch {
+      out[k] = v;
+    }
+  }
+  return out;
+}
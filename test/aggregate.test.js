@@ -0,0 +1,86 @@
+// 複数のボード / セクションのピンの集約（server/aggregate.js）
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { aggregatePins } from '../server/aggregate.js';
+
+/**
+ * 取得元ごとのピン（新しい順）。created_at は取得元をまたいで交互になるようにずらす。
+ * @param {Record<string, number>} counts  取得元 id -> ピン数
+ */
+function fixture(counts) {
+  const pins = {};
+  const ids = Object.keys(counts);
+  ids.forEach((id, k) => {
+    pins[id] = Array.from({ length: counts[id] }, (_, i) => ({
+      id: `${id}${i + 1}`,
+      created_at: new Date(Date.UTC(2024, 0, 1) - (i * ids.length + k) * 60000).toISOString()
+    }));
+  });
+  return pins;
+}
+
+/** delays で取得元ごとの応答の速さを変えて集約する。onPins に届いた id も返す */
+async function run(pins, { limit, delays = {}, fail = [], shared = {} }) {
+  const requested = [];
+  const streamed = [];
+  const sources = Object.keys(pins).map((boardId) => ({ boardId }));
+  const { items, failures } = await aggregatePins({
+    sources,
+    limit,
+    concurrency: 4,
+    fetchPins: async (src, n) => {
+      requested.push([src.boardId, n]);
+      await new Promise((resolve) => setTimeout(resolve, delays[src.boardId] || 0));
+      if (fail.includes(src.boardId)) throw new Error('boom');
+      return [...(shared[src.boardId] || []), ...pins[src.boardId]].slice(0, n);
+    },
+    onPins: (batch) => streamed.push(...batch.map((p) => p.id))
+  });
+  return { ids: items.map((p) => p.id), streamed, failures, requested };
+}
+
+const sorted = (ids) => [...ids].sort();
+
+test('ストリームと通常の応答で同じピンを選ぶ（応答の順番によらない）', async () => {
+  const pins = fixture({ ml: 10, mp: 10, mm: 10 });
+  const fast = await run(pins, { limit: 6, delays: { ml: 0, mp: 20, mm: 40 } });
+  const slow = await run(pins, { limit: 6, delays: { ml: 40, mp: 20, mm: 0 } });
+
+  assert.deepEqual(fast.ids, ['ml1', 'mp1', 'mm1', 'ml2', 'mp2', 'mm2']);
+  assert.deepEqual(sorted(fast.streamed), sorted(fast.ids));
+  assert.deepEqual(slow.ids, fast.ids);
+  assert.deepEqual(sorted(slow.streamed), sorted(slow.ids));
+});
+
+test('ピンの少ない取得元の不足分は、他の取得元から取り足す', async () => {
+  const pins = fixture({ a: 1, b: 10, c: 10 });
+  const { ids, streamed } = await run(pins, { limit: 9, delays: { b: 10 } });
+  assert.equal(ids.length, 9);
+  assert.ok(ids.includes('a1'));
+  assert.deepEqual(sorted(streamed), sorted(ids));
+});
+
+test('重複で減った分も取り足し、同じピンは 1 回だけ送る', async () => {
+  const pins = fixture({ board: 10, section: 3 });
+  // セクションのピンはボードにも含まれる
+  const shared = { section: pins.board.slice(0, 3) };
+  const { ids, streamed } = await run(pins, { limit: 8, shared });
+  assert.equal(ids.length, 8);
+  assert.equal(new Set(streamed).size, streamed.length);
+  assert.deepEqual(sorted(streamed), sorted(ids));
+});
+
+test('取得元が limit より多ければ、割り当ての無い取得元は取りに行かない', async () => {
+  const pins = fixture({ a: 5, b: 5, c: 5, d: 5 });
+  const { ids, requested } = await run(pins, { limit: 2 });
+  assert.deepEqual(ids, ['a1', 'b1']);
+  assert.deepEqual(requested, [['a', 1], ['b', 1]]);
+});
+
+test('失敗した取得元は failures に入れ、残りで続ける', async () => {
+  const pins = fixture({ a: 5, b: 5 });
+  const { ids, failures, streamed } = await run(pins, { limit: 4, fail: ['b'] });
+  assert.deepEqual(failures.map((f) => f.boardId), ['b']);
+  assert.ok(ids.length > 0 && ids.every((id) => id.startsWith('a')));
+  assert.deepEqual(sorted(streamed), sorted(ids));
+});
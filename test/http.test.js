@@ -0,0 +1,129 @@
+// fetchWithTimeout の再試行（server/http.js）
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MockAgent, getGlobalDispatcher, setGlobalDispatcher } from 'undici';
+import { fetchWithTimeout } from '../server/http.js';
+
+const ORIGIN = 'https://api.example.test';
+const originalDispatcher = getGlobalDispatcher();
+/** @type {MockAgent} */
+let agent;
+
+beforeEach(() => {
+  agent = new MockAgent();
+  agent.disableNetConnect();
+  setGlobalDispatcher(agent);
+});
+
+afterEach(async () => {
+  setGlobalDispatcher(originalDispatcher);
+  await agent.close();
+});
+
+/**
+ * path への応答を順に返す（Error ならネットワークエラー）。最後の応答は以後も繰り返す。
+ * @param {Array<{ status: number, headers?: Record<string, string> } | Error>} replies
+ * @returns {{ calls: number }} calls: 応答を返した回数（ネットワークエラーは数えない）
+ */
+function route(path, replies, method = 'GET') {
+  const seen = { calls: 0 };
+  const pool = agent.get(ORIGIN);
+  for (let i = 0; i < 10; i++) {
+    const reply = replies[Math.min(i, replies.length - 1)];
+    const scope = pool.intercept({ path, method });
+    if (reply instanceof Error) {
+      scope.replyWithError(reply);
+      continue;
+    }
+    scope.reply(() => {
+      seen.calls++;
+      return { statusCode: reply.status, data: `status ${reply.status}`, responseOptions: { headers: reply.headers || {} } };
+    });
+  }
+  return seen;
+}
+
+test('429・5xx は Retry-After（秒・日付）に従って再試行する', async () => {
+  const seen = route('/a', [
+    { status: 429, headers: { 'retry-after': '0' } },
+    { status: 503, headers: { 'retry-after': new Date(Date.now() - 1000).toUTCString() } },
+    { status: 200 }
+  ]);
+  const started = Date.now();
+  const res = await fetchWithTimeout(`${ORIGIN}/a`);
+  assert.equal(res.status, 200);
+  assert.equal(await res.text(), 'status 200');
+  assert.equal(seen.calls, 3);
+  assert.ok(Date.now() - started < 500);
+});
+
+test('再試行の回数を使い切ったら最後の応答を返す', async () => {
+  const seen = route('/b', [{ status: 500, headers: { 'retry-after': '0' } }]);
+  const res = await fetchWithTimeout(`${ORIGIN}/b`, { retries: 2 });
+  assert.equal(res.status, 500);
+  assert.equal(seen.calls, 3);
+});
+
+test('ネットワークエラーはバックオフして再試行し、使い切ったらエラーを投げる', async () => {
+  const ok = route('/c', [new Error('socket hang up'), { status: 200 }]);
+  assert.equal((await fetchWithTimeout(`${ORIGIN}/c`)).status, 200);
+  assert.equal(ok.calls, 1);
+
+  route('/d', [new Error('socket hang up')]);
+  await assert.rejects(fetchWithTimeout(`${ORIGIN}/d`, { retries: 0 }), (err) => err.cause?.message === 'socket hang up');
+});
+
+test('X-RateLimit-Reset（あと何秒 / エポック秒）を待ち時間にする', async () => {
+  // 1 秒待てば再試行する
+  const waited = route('/e', [{ status: 429, headers: { 'x-ratelimit-reset': '1' } }, { status: 200 }]);
+  const started = Date.now();
+  assert.equal((await fetchWithTimeout(`${ORIGIN}/e`, { maxDelayMs: 1000 })).status, 200);
+  assert.equal(waited.calls, 2);
+  assert.ok(Date.now() - started >= 900);
+
+  // 残り 0 の 503 でエポック秒の reset が maxDelayMs より先なら待たずに返す
+  const reset = String(Math.floor(Date.now() / 1000) + 120);
+  const gaveUp = route('/f', [{ status: 503, headers: { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': reset } }]);
+  assert.equal((await fetchWithTimeout(`${ORIGIN}/f`, { maxDelayMs: 5000 })).status, 503);
+  assert.equal(gaveUp.calls, 1);
+});
+
+test('Retry-After が maxDelayMs より長ければ待たずに返す', async () => {
+  const seen = route('/g', [{ status: 429, headers: { 'retry-after': '120' } }, { status: 200 }]);
+  const res = await fetchWithTimeout(`${ORIGIN}/g`, { maxDelayMs: 1000 });
+  assert.equal(res.status, 429);
+  assert.equal(seen.calls, 1);
+});
+
+test('deadline を越える待ちはせず、過ぎていれば要求もしない', async () => {
+  const seen = route('/h', [{ status: 503, headers: { 'retry-after': '1' } }, { status: 200 }]);
+  const res = await fetchWithTimeout(`${ORIGIN}/h`, { deadline: Date.now() + 500 });
+  assert.equal(res.status, 503);
+  assert.equal(seen.calls, 1);
+
+  const late = route('/i', [{ status: 200 }]);
+  await assert.rejects(fetchWithTimeout(`${ORIGIN}/i`, { deadline: Date.now() - 1 }), { name: 'DeadlineError' });
+  assert.equal(late.calls, 0);
+});
+
+test('signal が中断されたら再試行の待ちをやめる', async () => {
+  const seen = route('/j', [{ status: 503, headers: { 'retry-after': '5' } }, { status: 200 }]);
+  const controller = new AbortController();
+  const reason = new Error('client closed');
+  setTimeout(() => controller.abort(reason), 50);
+
+  const started = Date.now();
+  await assert.rejects(fetchWithTimeout(`${ORIGIN}/j`, { signal: controller.signal }), (err) => err === reason);
+  assert.equal(seen.calls, 1);
+  assert.ok(Date.now() - started < 1000);
+
+  await assert.rejects(fetchWithTimeout(`${ORIGIN}/j`, { signal: controller.signal }), (err) => err === reason);
+  assert.equal(seen.calls, 1);
+});
+
+test('GET / HEAD 以外は既定で再試行しない', async () => {
+  const seen = route('/k', [{ status: 503, headers: { 'retry-after': '0' } }, { status: 200 }], 'POST');
+  const res = await fetchWithTimeout(`${ORIGIN}/k`, { method: 'POST', body: 'x=1' });
+  assert.equal(res.status, 503);
+  assert.equal(seen.calls, 1);
+});
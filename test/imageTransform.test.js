@@ -0,0 +1,43 @@
+// 画像変換（server/imageTransform.js）: パラメータの解釈・キャッシュのキー・スタディフィルタ
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { parseTransform, transformKey, applyTransform, FX_MAX_DIM } from '../server/imageTransform.js';
+
+test('変換パラメータが無ければ null、不正なら status 400', () => {
+  assert.equal(parseTransform({}), null);
+  assert.deepEqual(parseTransform({ fx: 'edge,mirror' }).fx, [{ name: 'mirror' }, { name: 'edge' }]);
+  for (const query of [{ w: '0' }, { q: '101' }, { fmt: 'gif' }, { fx: 'sharpen' }, { fx: 'blur:3' }]) {
+    assert.throws(() => parseTransform(query), { status: 400 }, JSON.stringify(query));
+  }
+});
+
+test('キャッシュのキーはフィルタの組み合わせごとに変わり、並びの違いでは変わらない', () => {
+  const url = 'https://i.pinimg.com/a.jpg';
+  const key = (query) => transformKey(url, parseTransform(query));
+  assert.notEqual(key({ gray: '1' }), key({ gray: '1', fx: 'mirror' }));
+  assert.notEqual(key({ fx: 'blur:1' }), key({ fx: 'blur:2' }));
+  assert.equal(key({ fx: 'edge,mirror' }), key({ fx: 'mirror,edge' }));
+});
+
+test('フィルタを掛けるときは、w / h の指定が無くても FX_MAX_DIM に縮小する', async () => {
+  const input = await sharp({ create: { width: 3000, height: 1500, channels: 3, background: '#808080' } }).png().toBuffer();
+  const out = await applyTransform(input, parseTransform({ fx: 'posterize:2' }));
+  const meta = await sharp(out.buffer).metadata();
+  assert.equal(meta.width, FX_MAX_DIM);
+  assert.equal(meta.height, FX_MAX_DIM / 2);
+
+  const small = await applyTransform(input, parseTransform({ fx: 'posterize:2', w: '300' }));
+  assert.equal((await sharp(small.buffer).metadata()).width, 300);
+});
+
+test('左右反転はブラウザ側と同じ画素処理になる', async () => {
+  // 左半分が赤、右半分が青
+  const raw = Buffer.alloc(4 * 2 * 3);
+  for (let i = 0; i < 4 * 2; i++) raw.set(i % 4 < 2 ? [255, 0, 0] : [0, 0, 255], i * 3);
+  const input = await sharp(raw, { raw: { width: 4, height: 2, channels: 3 } }).png().toBuffer();
+
+  const out = await applyTransform(input, parseTransform({ fx: 'mirror', fmt: 'png' }));
+  const { data } = await sharp(out.buffer).raw().toBuffer({ resolveWithObject: true });
+  assert.deepEqual([...data.subarray(0, 3)], [0, 0, 255]);
+});
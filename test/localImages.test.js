@@ -0,0 +1,73 @@
+// ローカル画像フォルダ（server/localImages.js）: ピンの寸法と配信するファイルの検査
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import sharp from 'sharp';
+import { createLocalImageSource } from '../server/localImages.js';
+
+let dir = '';
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pinterval-local-'));
+  fs.mkdirSync(path.join(dir, 'sub'));
+  const image = (width, height) => sharp({ create: { width, height, channels: 3, background: '#888888' } });
+  await image(300, 200).png().toFile(path.join(dir, 'wide.png'));
+  // EXIF の向き 6（90° 回転）: 保存は 300x200、表示は 200x300
+  await image(300, 200).jpeg().withMetadata({ orientation: 6 }).toFile(path.join(dir, 'sub', 'rotated.jpg'));
+  fs.writeFileSync(path.join(dir, 'broken.jpg'), 'not an image');
+  fs.writeFileSync(path.join(dir, 'notes.txt'), 'text');
+  // 画像の無いサブフォルダ
+  fs.mkdirSync(path.join(dir, 'empty'));
+  fs.mkdirSync(path.join(dir, 'texts'));
+  fs.writeFileSync(path.join(dir, 'texts', 'memo.txt'), 'text');
+  fs.writeFileSync(path.join(dir, 'texts', '.hidden.png'), 'png');
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const source = () => createLocalImageSource({ dirs: `資料=${dir}` });
+
+test('ピンの width / height を画像から読み、EXIF の向きを反映する', async () => {
+  const local = source();
+  const [board] = local.listBoards();
+  const pins = await local.listPins(board.id);
+  const byTitle = Object.fromEntries(pins.map((p) => [p.title, p]));
+
+  assert.deepEqual(Object.keys(byTitle).sort(), ['broken', 'rotated', 'wide']);
+  assert.deepEqual([byTitle.wide.width, byTitle.wide.height], [300, 200]);
+  assert.deepEqual([byTitle.rotated.width, byTitle.rotated.height], [200, 300]);
+  // 読めない画像は寸法不明
+  assert.deepEqual([byTitle.broken.width, byTitle.broken.height], [null, null]);
+});
+
+test('ファイルを差し替えたら寸法を読み直す', async () => {
+  const local = source();
+  const [board] = local.listBoards();
+  const file = path.join(dir, 'wide.png');
+  assert.equal((await local.listPins(board.id)).find((p) => p.title === 'wide').width, 300);
+
+  await sharp({ create: { width: 120, height: 80, channels: 3, background: '#000000' } }).png().toFile(`${file}.tmp`);
+  fs.renameSync(`${file}.tmp`, file);
+  const later = new Date(Date.now() + 5000);
+  fs.utimesSync(file, later, later);
+  assert.equal((await local.listPins(board.id)).find((p) => p.title === 'wide').width, 120);
+});
+
+test('画像を含むサブフォルダだけをセクションにする', async () => {
+  const local = source();
+  const [board] = local.listBoards();
+  const sections = await local.listSections(board.id);
+  assert.deepEqual(sections.map((s) => s.name), ['sub']);
+  assert.deepEqual((await local.listSectionPins(board.id, sections[0].id)).map((p) => p.title), ['rotated']);
+});
+
+test('フォルダ外・隠しファイル・画像以外は配信しない', async () => {
+  const local = source();
+  const [board] = local.listBoards();
+  assert.ok(await local.resolveImageFile(board.id, 'sub/rotated.jpg'));
+  for (const rel of ['../etc/passwd.png', '/etc/hosts.png', 'sub/../../x.png', '.hidden.png', 'notes.txt']) {
+    assert.equal(await local.resolveImageFile(board.id, rel), null, rel);
+  }
+});
@@ -0,0 +1,69 @@
+// OAuth トークンの更新（server/oauth.js）
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MockAgent, getGlobalDispatcher, setGlobalDispatcher } from 'undici';
+import { refreshSessionToken, storeTokenInSession, canRefresh, isExpiringSoon } from '../server/oauth.js';
+
+const client = { clientId: 'id', clientSecret: 'secret' };
+const originalDispatcher = getGlobalDispatcher();
+/** @type {MockAgent} */
+let agent;
+/** @type {string[]} トークン交換に送った本文 */
+let requests = [];
+
+beforeEach(() => {
+  agent = new MockAgent();
+  agent.disableNetConnect();
+  setGlobalDispatcher(agent);
+  requests = [];
+});
+
+afterEach(async () => {
+  setGlobalDispatcher(originalDispatcher);
+  await agent.close();
+});
+
+/** トークン交換の応答を 1 回分用意する（2 回目の要求は MockAgent がエラーにする） */
+function tokenReply(statusCode, data, { delay = 0 } = {}) {
+  const scope = agent.get('https://api.pinterest.com')
+    .intercept({ path: '/v5/oauth/token', method: 'POST' })
+    .reply((opts) => {
+      requests.push(String(opts.body));
+      return { statusCode, data: JSON.stringify(data), responseOptions: { headers: { 'content-type': 'application/json' } } };
+    });
+  if (delay) scope.delay(delay);
+}
+
+test('同じセッションで同時に更新すると 1 回の要求を共有し、新しいトークンを保存する', async () => {
+  tokenReply(200, { access_token: 'new', expires_in: 3600 }, { delay: 20 });
+  const session = { accessToken: 'old', refreshToken: 'r1' };
+
+  const [a, b] = await Promise.all([refreshSessionToken(session, client), refreshSessionToken(session, client)]);
+  assert.equal(a, 'new');
+  assert.equal(b, 'new');
+  assert.equal(requests.length, 1);
+  assert.match(requests[0], /grant_type=refresh_token&refresh_token=r1/);
+  // refresh_token が省略された応答では既存の値を引き継ぐ
+  assert.equal(session.refreshToken, 'r1');
+  assert.ok(session.expiresAt > Date.now());
+  assert.equal(session.refreshing, undefined);
+});
+
+test('更新に失敗したらセッションのトークンを消して 401 を投げる', async () => {
+  tokenReply(400, { message: 'invalid_grant' });
+  const session = { accessToken: 'old', refreshToken: 'r1', expiresAt: 1, refreshTokenExpiresAt: Date.now() + 1000 };
+
+  await assert.rejects(refreshSessionToken(session, client), { status: 401 });
+  assert.deepEqual(Object.keys(session), []);
+  assert.equal(canRefresh(session), false);
+});
+
+test('有効期限・refresh_token の期限の判定', () => {
+  const now = 1_000_000;
+  const session = {};
+  storeTokenInSession(session, { access_token: 'a', refresh_token: 'r', expires_in: 30, refresh_token_expires_in: 60 }, now);
+  assert.equal(isExpiringSoon(session, now), true);
+  assert.equal(isExpiringSoon(session, now - 60 * 1000), false);
+  assert.equal(canRefresh(session, now + 59 * 1000), true);
+  assert.equal(canRefresh(session, now + 61 * 1000), false);
+});
@@ -0,0 +1,70 @@
+// 絞り込み（public/pinFilter.js）: 向き・最小サイズ・縦横比・含む語 / 除く語
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyFilter, createPinFilter, normalizeFilter, isFilterActive, orientationOf, parseKeywords } from '../public/pinFilter.js';
+
+const pin = (id, width, height, title = '', description = '') => ({ id, width, height, title, description });
+
+const pins = [
+  pin('tall', 600, 1200),
+  pin('wide', 1600, 900),
+  pin('square', 1000, 1050),
+  pin('small', 200, 300),
+  pin('banner', 2000, 400),
+  pin('unknown', null, null),
+  pin('half', 800, undefined)
+];
+const ids = (filter) => applyFilter(pins, filter).map((p) => p.id);
+
+test('向きは縦横比から決め、長辺 / 短辺が 1.1 以下なら正方形', () => {
+  assert.equal(orientationOf(pins[0]), 'portrait');
+  assert.equal(orientationOf(pins[1]), 'landscape');
+  assert.equal(orientationOf(pins[2]), 'square');
+  assert.equal(orientationOf(pins[5]), null);
+  assert.equal(orientationOf(pins[6]), null);
+  assert.equal(orientationOf(pin('zero', 0, 100)), null);
+
+  assert.deepEqual(ids({ orientation: 'portrait' }), ['tall', 'small', 'unknown', 'half']);
+  assert.deepEqual(ids({ orientation: 'landscape' }), ['wide', 'banner', 'unknown', 'half']);
+  assert.deepEqual(ids({ orientation: 'square' }), ['square', 'unknown', 'half']);
+});
+
+test('最小サイズは短辺、縦横比は 長辺 / 短辺 の上限で判定する', () => {
+  assert.deepEqual(ids({ minSize: 600 }), ['tall', 'wide', 'square', 'unknown', 'half']);
+  assert.deepEqual(ids({ minSize: 601 }), ['wide', 'square', 'unknown', 'half']);
+  assert.deepEqual(ids({ maxRatio: 2 }), ['tall', 'wide', 'square', 'small', 'unknown', 'half']);
+  assert.deepEqual(ids({ maxRatio: 1.5 }), ['square', 'small', 'unknown', 'half']);
+});
+
+test('寸法の分からないピンは、向き・サイズ・縦横比の条件では除外しない', () => {
+  const keep = createPinFilter({ orientation: 'portrait', minSize: 5000, maxRatio: 1.2 });
+  for (const item of [pin('a', null, null), pin('b', 800, undefined), pin('c', '', 0), {}]) {
+    assert.equal(keep(item), true, JSON.stringify(item));
+  }
+  // 語の条件は寸法によらず掛かる
+  assert.equal(createPinFilter({ minSize: 5000, include: 'pose' })(pin('d', null, null, 'hand')), false);
+});
+
+test('含む語はいずれかを、除く語はどれも含まないものを残す（タイトルと説明、大文字小文字を区別しない）', () => {
+  const items = [
+    pin('1', 100, 100, 'Hand study', ''),
+    pin('2', 100, 100, '', '足のポーズ'),
+    pin('3', 100, 100, 'Hand pose', 'nsfw'),
+    pin('4', 100, 100, 'landscape', '')
+  ];
+  const pick = (filter) => applyFilter(items, filter).map((p) => p.id);
+  assert.deepEqual(parseKeywords(' 手 足, POSE、hand '), ['手', '足', 'pose', 'hand']);
+  assert.deepEqual(pick({ include: 'hand 足' }), ['1', '2', '3']);
+  assert.deepEqual(pick({ exclude: 'NSFW' }), ['1', '2', '4']);
+  assert.deepEqual(pick({ include: 'hand', exclude: 'nsfw, study' }), []);
+});
+
+test('条件は正規化し、条件が無ければすべて残す', () => {
+  assert.deepEqual(normalizeFilter({ orientation: 'diagonal', minSize: '-5', maxRatio: 'x', include: '  a ' }), {
+    orientation: 'any', minSize: 0, maxRatio: 0, include: 'a', exclude: ''
+  });
+  assert.equal(isFilterActive(normalizeFilter(null)), false);
+  assert.equal(isFilterActive({ exclude: 'x' }), true);
+  assert.deepEqual(ids({}), pins.map((p) => p.id));
+  assert.notEqual(applyFilter(pins, {}), pins);
+});
@@ -0,0 +1,28 @@
+// 保存日時の並び（public/pinOrder.js）: ブラウザとサーバで共用する並べ替え
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sortPinsByCreatedAt, parseCreatedAt } from '../public/pinOrder.js';
+
+const pins = [
+  { id: 'none1', created_at: null },
+  { id: 'jan', created_at: '2024-01-01T00:00:00.000Z' },
+  { id: 'mar', created_at: '2024-03-01T00:00:00' },
+  { id: 'broken', created_at: 'yesterday' },
+  { id: 'feb', created_at: '2024-02-01T09:00:00+09:00' },
+  { id: 'none2' },
+  { id: 'jan2', created_at: '2024-01-01T00:00:00Z' }
+];
+
+test('新しい順 / 古い順に並べ、日時の無いピンは元の順のまま末尾へ', () => {
+  assert.deepEqual(sortPinsByCreatedAt(pins).map((p) => p.id), ['mar', 'feb', 'jan', 'jan2', 'none1', 'broken', 'none2']);
+  assert.deepEqual(sortPinsByCreatedAt(pins, 'oldest').map((p) => p.id), ['jan', 'jan2', 'feb', 'mar', 'none1', 'broken', 'none2']);
+  // 入力の配列は変えない
+  assert.equal(pins[0].id, 'none1');
+});
+
+test('タイムゾーンの無い日時は UTC とみなす', () => {
+  assert.equal(parseCreatedAt('2024-03-01T00:00:00'), Date.UTC(2024, 2, 1));
+  assert.equal(parseCreatedAt('2024-03-01T09:00:00+09:00'), Date.UTC(2024, 2, 1));
+  assert.equal(parseCreatedAt(''), null);
+  assert.equal(parseCreatedAt('yesterday'), null);
+});
@@ -0,0 +1,76 @@
+// 先読みキュー（public/prefetch.js）: 予算内での保持と、ビューアに渡した objectURL の扱い
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPrefetchQueue } from '../public/prefetch.js';
+
+/** @type {string[]} */
+let revoked = [];
+const originalRevoke = URL.revokeObjectURL;
+
+beforeEach(() => {
+  revoked = [];
+  URL.revokeObjectURL = (url) => {
+    revoked.push(url);
+    originalRevoke.call(URL, url);
+  };
+  // デコード（ブラウザの Image）の代わり
+  globalThis.Image = class {
+    decode() {
+      return Promise.resolve();
+    }
+  };
+});
+
+afterEach(() => {
+  URL.revokeObjectURL = originalRevoke;
+  delete globalThis.Image;
+});
+
+const job = (key, bytes) => ({ key, load: async () => new Blob([new Uint8Array(bytes)]) });
+const settle = () => new Promise((resolve) => setTimeout(resolve, 10));
+
+test('take() で渡した objectURL は、次の prefetch() で予算を空けるときにも解放しない', async () => {
+  const queue = createPrefetchQueue({ budgetBytes: 10 });
+  queue.prefetch([job('a', 6)]);
+  await settle();
+
+  const url = queue.take('a');
+  assert.ok(url);
+  assert.equal(queue.take('a'), null);
+  assert.equal(queue.bytes, 0);
+
+  queue.prefetch([job('b', 6)]);
+  await settle();
+  assert.ok(!revoked.includes(url));
+  assert.ok(queue.take('b'));
+});
+
+test('今回の一覧に無い保持中の画像は、予算を空けるために解放する', async () => {
+  const queue = createPrefetchQueue({ budgetBytes: 10 });
+  queue.prefetch([job('a', 6)]);
+  await settle();
+  queue.prefetch([job('b', 6)]);
+  await settle();
+
+  assert.equal(revoked.length, 1);
+  assert.equal(queue.take('a'), null);
+  assert.ok(queue.take('b'));
+});
+
+test('cancel() は取得中のものを中断する', async () => {
+  const queue = createPrefetchQueue({ budgetBytes: 100 });
+  let aborted = false;
+  queue.prefetch([{
+    key: 'slow',
+    load: (signal) => new Promise((_resolve, reject) => {
+      signal.addEventListener('abort', () => {
+        aborted = true;
+        reject(signal.reason);
+      });
+    })
+  }]);
+  queue.cancel();
+  await settle();
+  assert.equal(aborted, true);
+  assert.equal(queue.take('slow'), null);
+});
@@ -0,0 +1,61 @@
+// クライアントごとのレート制限（server/rateLimit.js）
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRateLimiter } from '../server/rateLimit.js';
+
+function call(limiter, ip) {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    send() {
+      return this;
+    }
+  };
+  let passed = false;
+  limiter({ ip }, res, () => {
+    passed = true;
+  });
+  return { passed, res };
+}
+
+test('limit 回までは通し、超えたら 429 と Retry-After', () => {
+  const limiter = createRateLimiter({ limit: 2, windowMs: 60 * 1000 });
+  const first = call(limiter, '10.0.0.1');
+  assert.equal(first.passed, true);
+  assert.equal(first.res.headers['x-ratelimit-limit'], '2');
+  assert.equal(first.res.headers['x-ratelimit-remaining'], '1');
+  assert.equal(call(limiter, '10.0.0.1').passed, true);
+
+  const over = call(limiter, '10.0.0.1');
+  assert.equal(over.passed, false);
+  assert.equal(over.res.statusCode, 429);
+  assert.equal(over.res.headers['x-ratelimit-remaining'], '0');
+  assert.ok(Number(over.res.headers['retry-after']) >= 1);
+});
+
+test('クライアント（IP）ごとに数える', () => {
+  const limiter = createRateLimiter({ limit: 1 });
+  assert.equal(call(limiter, '10.0.0.1').passed, true);
+  assert.equal(call(limiter, '10.0.0.1').passed, false);
+  assert.equal(call(limiter, '10.0.0.2').passed, true);
+});
+
+test('ウィンドウが過ぎたら数え直す', async () => {
+  const limiter = createRateLimiter({ limit: 1, windowMs: 30 });
+  assert.equal(call(limiter, '10.0.0.1').passed, true);
+  assert.equal(call(limiter, '10.0.0.1').passed, false);
+  await new Promise((resolve) => setTimeout(resolve, 40));
+  assert.equal(call(limiter, '10.0.0.1').passed, true);
+});
+
+test('limit が 0 なら制限しない', () => {
+  const limiter = createRateLimiter({ limit: 0 });
+  for (let i = 0; i < 5; i++) assert.equal(call(limiter, '10.0.0.1').passed, true);
+});
@@ -0,0 +1,80 @@
+// Pinterest 応答の TTL キャッシュ（server/responseCache.js）
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createResponseCache } from '../server/responseCache.js';
+
+let dir = '';
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pinterval-cache-'));
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('ttlMs を過ぎたエントリは返さない', (t) => {
+  t.mock.timers.enable({ apis: ['Date'] });
+  const cache = createResponseCache({ ttlMs: 1000, maxEntries: 10 });
+  cache.set('a', { n: 1 });
+
+  t.mock.timers.tick(999);
+  assert.deepEqual(cache.get('a'), { n: 1 });
+  t.mock.timers.tick(1);
+  assert.equal(cache.get('a'), undefined);
+  assert.equal(cache.size, 0);
+});
+
+test('maxEntries を超えたら最も長く使われていないものから捨てる', () => {
+  const cache = createResponseCache({ ttlMs: 60000, maxEntries: 2 });
+  cache.set('a', 1);
+  cache.set('b', 2);
+  assert.equal(cache.get('a'), 1); // a を使ったので b が最も古い
+  cache.set('c', 3);
+
+  assert.equal(cache.size, 2);
+  assert.equal(cache.get('b'), undefined);
+  assert.equal(cache.get('a'), 1);
+  assert.equal(cache.get('c'), 3);
+});
+
+test('getOrLoad は refresh ならキャッシュを見ずに読み直し、失敗はキャッシュしない', async () => {
+  const cache = createResponseCache({ ttlMs: 60000, maxEntries: 10 });
+  let calls = 0;
+  const load = async () => ++calls;
+
+  assert.equal(await cache.getOrLoad('k', load), 1);
+  assert.equal(await cache.getOrLoad('k', load), 1);
+  assert.equal(await cache.getOrLoad('k', load, { refresh: true }), 2);
+  assert.equal(await cache.getOrLoad('k', load), 2);
+
+  await assert.rejects(cache.getOrLoad('bad', async () => { throw new Error('boom'); }), /boom/);
+  assert.equal(cache.get('bad'), undefined);
+});
+
+test('CACHE_FILE に保存し、次に作ったときに期限内のものだけ読み戻す', (t) => {
+  t.mock.timers.enable({ apis: ['Date', 'setTimeout'] });
+  const file = path.join(dir, 'nested', 'cache.json');
+  const first = createResponseCache({ ttlMs: 10000, maxEntries: 10, file });
+  first.set('old', 'x');
+  t.mock.timers.tick(6000); // 保存は set からまとめて遅れて行う
+  first.set('new', { items: [1, 2] });
+  t.mock.timers.tick(2000);
+
+  assert.equal((fs.statSync(file).mode & 0o777).toString(8), '600');
+  assert.equal(fs.existsSync(`${file}.tmp`), false);
+
+  t.mock.timers.tick(3000); // old だけが期限切れ
+  const second = createResponseCache({ ttlMs: 10000, maxEntries: 10, file });
+  assert.equal(second.size, 1);
+  assert.equal(second.get('old'), undefined);
+  assert.deepEqual(second.get('new'), { items: [1, 2] });
+});
+
+test('壊れた CACHE_FILE は無視する', () => {
+  const file = path.join(dir, 'broken.json');
+  fs.writeFileSync(file, '{not json');
+  const cache = createResponseCache({ ttlMs: 1000, maxEntries: 10, file });
+  assert.equal(cache.size, 0);
+});
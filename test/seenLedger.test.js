@@ -0,0 +1,57 @@
+// 既出記録とランダム順（public/seenLedger.js）
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { orderBySeen, markSeen, createRandom } from '../public/seenLedger.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2024, 0, 31);
+
+const pins = (...ids) => ids.map((id) => ({ id, board_id: 'b' }));
+
+/** ids を at の時刻に表示したことにした既出記録 */
+function ledgerOf(entries) {
+  const ledger = {};
+  for (const [ids, at] of entries) markSeen(ledger, pins(...ids), { now: at });
+  return ledger;
+}
+
+const order = (items, ledger, seed) => orderBySeen(items, ledger, { random: createRandom(seed) });
+
+test('未表示のピンを先に並べる', () => {
+  const ledger = ledgerOf([[['s1', 's2'], NOW - DAY]]);
+  for (const seed of ['a', 'b', 'c', 'd']) {
+    const { items, unseen } = order(pins('s1', 'u1', 's2', 'u2', 'u3'), ledger, seed);
+    assert.equal(unseen, 3);
+    assert.deepEqual(items.slice(0, 3).map((p) => p.id).sort(), ['u1', 'u2', 'u3']);
+    assert.deepEqual(items.slice(3).map((p) => p.id).sort(), ['s1', 's2']);
+  }
+});
+
+test('表示済みのピンは、最後の表示から時間が経ったものほど先に出やすい', () => {
+  const ledger = ledgerOf([[['old'], NOW - 30 * DAY], [['mid'], NOW - 3 * DAY], [['recent'], NOW]]);
+  const firsts = { old: 0, mid: 0, recent: 0 };
+  let oldBeforeRecent = 0;
+  const runs = 300;
+  for (let i = 0; i < runs; i++) {
+    const ids = order(pins('recent', 'mid', 'old'), ledger, `seed-${i}`).items.map((p) => p.id);
+    firsts[ids[0]]++;
+    if (ids.indexOf('old') < ids.indexOf('recent')) oldBeforeRecent++;
+  }
+  assert.ok(firsts.old > firsts.mid && firsts.mid > firsts.recent, JSON.stringify(firsts));
+  assert.ok(oldBeforeRecent > runs * 0.95, String(oldBeforeRecent));
+  // 直前に表示したピンも最後に固定はしない
+  assert.ok(firsts.recent + firsts.mid > 0);
+});
+
+test('同じシード・同じ既出記録なら同じ順序になる', () => {
+  const ledger = ledgerOf([[['s1', 's2', 's3'], NOW - 2 * DAY], [['s4'], NOW]]);
+  const items = pins('u1', 's1', 'u2', 's2', 'u3', 's3', 'u4', 's4');
+  const ids = (seed) => order(items, ledger, seed).items.map((p) => p.id);
+
+  assert.deepEqual(ids('abc123'), ids('abc123'));
+  assert.deepEqual(ids('  abc123 '), ids('abc123'));
+  const others = ['x', 'y', 'z', 'w'].map(ids);
+  assert.ok(others.some((o) => JSON.stringify(o) !== JSON.stringify(ids('abc123'))));
+  // 入力の配列は変えない
+  assert.deepEqual(items.map((p) => p.id), ['u1', 's1', 'u2', 's2', 'u3', 's3', 'u4', 's4']);
+});
@@ -0,0 +1,95 @@
+// 署名付き Cookie セッション（server/session.js）
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSessionStore } from '../server/session.js';
+
+function fakeRes(req = {}) {
+  return {
+    req,
+    cookies: [],
+    append(name, value) {
+      if (name === 'Set-Cookie') this.cookies.push(value);
+    }
+  };
+}
+
+/** Cookie ヘッダを付けてミドルウェアを通す */
+function load(store, cookie) {
+  const req = { headers: cookie ? { cookie } : {} };
+  store.middleware(req, fakeRes(req), () => {});
+  return req;
+}
+
+/** Set-Cookie から "名前=値" の部分を取り出す */
+const cookieOf = (res) => res.cookies.at(-1).split(';')[0];
+
+test('発行した Cookie で同じセッションを読み、Secure は設定どおりに付ける', () => {
+  const store = createSessionStore({ secret: 's3cret', secure: (req) => req.protocol === 'https' });
+  const req = { headers: {}, protocol: 'https' };
+  const res = fakeRes(req);
+  store.create(req, res).accessToken = 'tok';
+
+  assert.match(res.cookies[0], /^pinterval_sid=[\w-]+\.[\w-]+; Path=\/; HttpOnly; SameSite=Lax; Max-Age=\d+; Secure$/);
+  const again = load(store, cookieOf(res));
+  assert.equal(again.sessionId, req.sessionId);
+  assert.equal(again.session.accessToken, 'tok');
+});
+
+test('署名が合わない・別の鍵で署名した Cookie は無視する', () => {
+  const store = createSessionStore({ secret: 's3cret' });
+  const req = { headers: {} };
+  const res = fakeRes(req);
+  store.create(req, res);
+  const [sid, sig] = cookieOf(res).split('=')[1].split('.');
+
+  const other = createSessionStore({ secret: 'other' });
+  const otherRes = fakeRes();
+  other.create({ headers: {} }, otherRes);
+
+  for (const cookie of [
+    `pinterval_sid=${sid}.${sig.slice(0, -1)}${sig.endsWith('A') ? 'B' : 'A'}`,
+    `pinterval_sid=${sid}x.${sig}`,
+    `pinterval_sid=${sid}`,
+    `pinterval_sid=${cookieOf(otherRes).split('=')[1]}`
+  ]) {
+    const tampered = load(store, cookie);
+    assert.equal(tampered.session, null, cookie);
+    assert.equal(tampered.sessionId, null, cookie);
+  }
+});
+
+test('ensure は既存のセッションを残し、無ければ発行する', () => {
+  const store = createSessionStore({ secret: 's3cret' });
+  const req = { headers: {} };
+  const res = fakeRes(req);
+  store.create(req, res).accessToken = 'tok';
+
+  const loggedIn = load(store, cookieOf(res));
+  const loggedInRes = fakeRes(loggedIn);
+  store.ensure(loggedIn, loggedInRes).oauthState = 'state';
+  assert.deepEqual(loggedInRes.cookies, []);
+  assert.equal(load(store, cookieOf(res)).session.accessToken, 'tok');
+
+  const anonymous = load(store, '');
+  const anonymousRes = fakeRes(anonymous);
+  store.ensure(anonymous, anonymousRes).oauthState = 'state';
+  assert.equal(anonymousRes.cookies.length, 1);
+  assert.equal(load(store, cookieOf(anonymousRes)).session.oauthState, 'state');
+});
+
+test('create は既存のセッションを破棄し、destroy は Cookie を消す', () => {
+  const store = createSessionStore({ secret: 's3cret' });
+  const req = { headers: {} };
+  const res = fakeRes(req);
+  store.create(req, res);
+  const first = cookieOf(res);
+
+  const loaded = load(store, first);
+  store.create(loaded, fakeRes(loaded));
+  assert.equal(load(store, first).session, null);
+
+  const destroyRes = fakeRes(loaded);
+  store.destroy(loaded, destroyRes);
+  assert.match(destroyRes.cookies[0], /^pinterval_sid=; .*Max-Age=0/);
+  assert.equal(loaded.session, null);
+});
@@ -0,0 +1,75 @@
+// セッションプラン（public/sessionPlan.js）: プランの解析・プリセット・段階の進み方
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseStages, formatStages, totalPoses, stageAt,
+  listPlans, loadUserPlans, saveUserPlans, BUILTIN_PLANS, PLANS_KEY
+} from '../public/sessionPlan.js';
+
+/** @type {Map<string, string>} */
+let storage;
+
+beforeEach(() => {
+  storage = new Map();
+  globalThis.localStorage = {
+    getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, value) => storage.set(key, String(value))
+  };
+});
+
+afterEach(() => {
+  delete globalThis.localStorage;
+});
+
+test('parseStages は区切り・単位の表記ゆれを受け付ける', () => {
+  assert.deepEqual(parseStages('10x30, 5x60, 2x300'), [{ count: 10, sec: 30 }, { count: 5, sec: 60 }, { count: 2, sec: 300 }]);
+  assert.deepEqual(parseStages('10×30秒 → 5 * 1分\n2x5m'), [{ count: 10, sec: 30 }, { count: 5, sec: 60 }, { count: 2, sec: 300 }]);
+  assert.deepEqual(parseStages('3x90s、1x2min'), [{ count: 3, sec: 90 }, { count: 1, sec: 120 }]);
+  assert.equal(formatStages(parseStages('10×30秒 → 5x1分')), '10x30, 5x60');
+});
+
+test('parseStages は 1 つでも解析できない段階・範囲外の値があれば空配列', () => {
+  for (const text of ['', '10x30, abc', '0x30', '10x0', '1000x30', '1x3601', '1x61m', '10-30']) {
+    assert.deepEqual(parseStages(text), [], text);
+  }
+  // 段階は 20 まで
+  assert.equal(parseStages(Array.from({ length: 25 }, () => '1x10').join(',')).length, 20);
+});
+
+test('stageAt は表示の回数から段階を求め、最終段階の後は null（自動停止）', () => {
+  const stages = parseStages('2x30, 1x60, 2x300');
+  assert.equal(totalPoses(stages), 5);
+
+  const walk = [];
+  for (let i = 0; ; i++) {
+    const at = stageAt(stages, i);
+    if (!at) break;
+    walk.push([at.stageIndex, at.indexInStage, at.stage.sec]);
+  }
+  assert.deepEqual(walk, [[0, 0, 30], [0, 1, 30], [1, 0, 60], [2, 0, 300], [2, 1, 300]]);
+  assert.equal(walk.length, totalPoses(stages));
+  assert.equal(stageAt([], 0), null);
+});
+
+test('listPlans はプリセットの後に保存済みのプランを並べ、壊れた保存内容は除く', () => {
+  assert.deepEqual(listPlans(), BUILTIN_PLANS);
+
+  storage.set(PLANS_KEY, JSON.stringify([
+    { id: 'u1', name: '自作', stages: [{ count: 3, sec: 45 }] },
+    { id: 'u2', name: '範囲外', stages: [{ count: 3, sec: 99999 }] },
+    { id: '', name: 'id なし', stages: [{ count: 1, sec: 10 }] },
+    'garbage'
+  ]));
+  const plans = listPlans();
+  assert.deepEqual(plans.slice(0, BUILTIN_PLANS.length), BUILTIN_PLANS);
+  assert.deepEqual(plans.slice(BUILTIN_PLANS.length), [{ id: 'u1', name: '自作', stages: [{ count: 3, sec: 45 }] }]);
+
+  storage.set(PLANS_KEY, '{not json');
+  assert.deepEqual(loadUserPlans(), []);
+});
+
+test('saveUserPlans はプリセットを保存しない', () => {
+  saveUserPlans([...BUILTIN_PLANS, { id: 'u1', name: '自作', stages: [{ count: 2, sec: 20 }] }]);
+  assert.deepEqual(JSON.parse(storage.get(PLANS_KEY)), [{ id: 'u1', name: '自作', stages: [{ count: 2, sec: 20 }] }]);
+  assert.deepEqual(loadUserPlans(), [{ id: 'u1', name: '自作', stages: [{ count: 2, sec: 20 }] }]);
+});
@@ -0,0 +1,25 @@
+// 再生のショートカットを使うフォーカス先（public/shortcuts.js）
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isTextEntryTarget } from '../public/shortcuts.js';
+
+const input = (type) => ({ tagName: 'INPUT', type, isContentEditable: false });
+
+test('チェックボックス・ラジオ・スライダー・ボタンにフォーカスがあってもショートカットを使う', () => {
+  for (const type of ['checkbox', 'radio', 'range', 'button', 'submit', 'CHECKBOX']) {
+    assert.equal(isTextEntryTarget(input(type)), false, type);
+  }
+  assert.equal(isTextEntryTarget({ tagName: 'BUTTON', isContentEditable: false }), false);
+  assert.equal(isTextEntryTarget({ tagName: 'BODY', isContentEditable: false }), false);
+  assert.equal(isTextEntryTarget(null), false);
+  assert.equal(isTextEntryTarget(/** @type {any} */ ({})), false);
+});
+
+test('文字を入力する欄・選択・編集可能な要素ではショートカットを使わない', () => {
+  for (const type of ['text', 'search', 'number', 'email', '', undefined]) {
+    assert.equal(isTextEntryTarget(input(type)), true, String(type));
+  }
+  assert.equal(isTextEntryTarget({ tagName: 'TEXTAREA' }), true);
+  assert.equal(isTextEntryTarget({ tagName: 'SELECT' }), true);
+  assert.equal(isTextEntryTarget({ tagName: 'DIV', isContentEditable: true }), true);
+});